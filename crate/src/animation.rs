@@ -0,0 +1,155 @@
+use wasm_bindgen::prelude::*;
+use jxl::api::*;
+use jxl::api::states::WithImageInfo;
+
+use crate::error::{decode_error, ErrorCode};
+use crate::info::scan_frame_durations;
+use crate::limits::DecodeLimits;
+use crate::{decode_next_frame, read_header, rgba_pixel_format, ticks_per_second};
+
+/// One composited animation frame
+#[wasm_bindgen]
+pub struct JxlFrame {
+    pub index: u32,
+    /// Exact display duration in ms (not clamped, may be 0)
+    pub duration_ms: u32,
+    pixels: Vec<u8>,
+}
+
+#[wasm_bindgen]
+impl JxlFrame {
+    /// Move the RGBA8 buffer out to JS (the struct is left empty)
+    pub fn take_pixels(&mut self) -> Vec<u8> {
+        std::mem::take(&mut self.pixels)
+    }
+}
+
+/// Frame-by-frame decoder for animated JXL.
+///
+/// Only the compressed file and the decoder state are kept; frames are
+/// decoded one at a time with `next_frame`, and `reset` starts over for
+/// looping or seeking backwards. Frames come out coalesced: each one is the
+/// full canvas with blending already applied, so it simply replaces the
+/// previous frame.
+#[wasm_bindgen]
+pub struct JxlAnimationDecoder {
+    data: Vec<u8>,
+    // Bytes of `data` consumed by the decoder so far
+    offset: usize,
+    // None once the last frame has been decoded
+    decoder: Option<JxlDecoder<WithImageInfo>>,
+    width: usize,
+    height: usize,
+    loop_count: u32,
+    tps: Option<f64>,
+    frame_durations: Vec<u32>,
+    next_index: u32,
+}
+
+#[wasm_bindgen]
+impl JxlAnimationDecoder {
+    /// Parse the header and frame headers of a complete JXL file
+    #[wasm_bindgen(constructor)]
+    pub fn new(data: &[u8]) -> Result<JxlAnimationDecoder, JsValue> {
+        console_error_panic_hook::set_once();
+
+        if data.len() < 2 {
+            return Err(decode_error(ErrorCode::Truncated, "Input too small to be a JXL file"));
+        }
+
+        let mut input = data;
+        let decoder = read_header(&mut input)?;
+        let basic_info = decoder.basic_info().clone();
+        let (width, height) = basic_info.size;
+        if width == 0 || height == 0 {
+            return Err(decode_error(ErrorCode::InvalidHeader, "Invalid image dimensions"));
+        }
+        // Only two frames are held at a time, so the frame limits don't apply
+        DecodeLimits::current().check_size(width, height)?;
+        let tps = ticks_per_second(&basic_info);
+
+        let mut animation = JxlAnimationDecoder {
+            data: data.to_vec(),
+            offset: 0,
+            decoder: None,
+            width,
+            height,
+            loop_count: basic_info.animation.as_ref().map_or(0, |anim| anim.num_loops),
+            tps,
+            frame_durations: scan_frame_durations(decoder, &mut input, tps)?,
+            next_index: 0,
+        };
+        animation.reset()?;
+        Ok(animation)
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn width(&self) -> u32 {
+        self.width as u32
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn height(&self) -> u32 {
+        self.height as u32
+    }
+
+    /// Number of times to play the animation, 0 = forever
+    #[wasm_bindgen(getter)]
+    pub fn loop_count(&self) -> u32 {
+        self.loop_count
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn frame_count(&self) -> u32 {
+        self.frame_durations.len() as u32
+    }
+
+    /// Exact per-frame durations in ms
+    pub fn frame_durations(&self) -> Vec<u32> {
+        self.frame_durations.clone()
+    }
+
+    /// Check that every frame fits the frame limits, for callers that hold them all at once
+    pub fn check_frame_limits(&self) -> Result<(), JsValue> {
+        DecodeLimits::current().check_frame(self.frame_durations.len(), self.width * self.height * 4)
+    }
+
+    /// Index of the frame the next `next_frame` call returns
+    #[wasm_bindgen(getter)]
+    pub fn next_index(&self) -> u32 {
+        self.next_index
+    }
+
+    /// Rewind to the first frame
+    pub fn reset(&mut self) -> Result<(), JsValue> {
+        let mut input: &[u8] = &self.data;
+        let mut decoder = read_header(&mut input)?;
+        let basic_info = decoder.basic_info().clone();
+        decoder.set_pixel_format(rgba_pixel_format(&basic_info, 8));
+
+        self.offset = self.data.len() - input.len();
+        self.decoder = Some(decoder);
+        self.next_index = 0;
+        Ok(())
+    }
+
+    /// Decode the next frame, or return `undefined` after the last one
+    pub fn next_frame(&mut self) -> Result<Option<JxlFrame>, JsValue> {
+        let Some(decoder) = self.decoder.take() else {
+            return Ok(None);
+        };
+
+        let mut input = &self.data[self.offset..];
+        let (next_decoder, pixels, duration_ms) =
+            decode_next_frame(decoder, &mut input, self.width * 4, self.height, self.tps)?;
+        self.offset = self.data.len() - input.len();
+
+        if next_decoder.has_more_frames() {
+            self.decoder = Some(next_decoder);
+        }
+
+        let index = self.next_index;
+        self.next_index += 1;
+        Ok(Some(JxlFrame { index, duration_ms, pixels }))
+    }
+}
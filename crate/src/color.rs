@@ -0,0 +1,157 @@
+use std::io::Write;
+
+use wasm_bindgen::prelude::*;
+use jxl::api::*;
+use jxl::api::states::WithImageInfo;
+
+use crate::error::{decode_error, ErrorCode};
+
+/// Color space the decoded pixels are converted to
+#[derive(Clone, Copy, PartialEq)]
+pub(crate) enum ColorTarget {
+    /// Keep the image's own color encoding and describe it in the PNG
+    Original,
+    Srgb,
+    DisplayP3,
+}
+
+impl ColorTarget {
+    pub(crate) fn parse(value: Option<&str>) -> Result<ColorTarget, JsValue> {
+        match value.unwrap_or("original") {
+            "original" => Ok(ColorTarget::Original),
+            "srgb" => Ok(ColorTarget::Srgb),
+            "display-p3" => Ok(ColorTarget::DisplayP3),
+            other => Err(decode_error(ErrorCode::InvalidArgument, format!("Unknown color target: {}", other))),
+        }
+    }
+
+    fn profile(self) -> Option<JxlColorProfile> {
+        let primaries = match self {
+            ColorTarget::Original => return None,
+            ColorTarget::Srgb => JxlPrimaries::SRGB,
+            ColorTarget::DisplayP3 => JxlPrimaries::P3,
+        };
+        Some(JxlColorProfile::Simple(JxlColorEncoding::RgbColorSpace {
+            white_point: JxlWhitePoint::D65,
+            primaries,
+            transfer_function: JxlTransferFunction::SRGB,
+            rendering_intent: JxlRenderingIntent::Relative,
+        }))
+    }
+}
+
+/// Parse a bit depth option: 8 (default) or 16
+pub(crate) fn parse_bit_depth(value: Option<u8>) -> Result<u8, JsValue> {
+    match value.unwrap_or(8) {
+        8 => Ok(8),
+        16 => Ok(16),
+        other => Err(decode_error(ErrorCode::InvalidArgument, format!("Unsupported bit depth: {}", other))),
+    }
+}
+
+/// Color description written into PNG output: sRGB, cICP and/or iCCP chunks
+#[derive(Clone, Default)]
+pub(crate) struct PngColor {
+    srgb: bool,
+    cicp: Option<[u8; 4]>,
+    icc: Option<Vec<u8>>,
+}
+
+impl PngColor {
+    fn from_profile(profile: &JxlColorProfile) -> PngColor {
+        match profile {
+            JxlColorProfile::Icc(icc) => PngColor {
+                icc: is_rgb_icc(icc).then(|| icc.clone()),
+                ..Default::default()
+            },
+            JxlColorProfile::Simple(JxlColorEncoding::RgbColorSpace {
+                white_point,
+                primaries,
+                transfer_function,
+                ..
+            }) => {
+                let cicp = match (white_point, cicp_primaries(primaries), cicp_transfer(transfer_function)) {
+                    (JxlWhitePoint::D65, Some(primaries), Some(transfer)) => {
+                        // Matrix 0 (RGB), full range
+                        Some([primaries, transfer, 0, 1])
+                    }
+                    _ => None,
+                };
+                let srgb = cicp == Some([1, 13, 0, 1]);
+                PngColor {
+                    srgb,
+                    cicp: if srgb { None } else { cicp },
+                    // Viewers without cICP support fall back to the ICC profile
+                    icc: if srgb { None } else { profile.try_as_icc().map(|icc| icc.into_owned()) },
+                }
+            }
+            JxlColorProfile::Simple(JxlColorEncoding::GrayscaleColorSpace { transfer_function, .. }) => {
+                // Output is expanded to RGB, so only the sRGB curve can be described
+                PngColor {
+                    srgb: matches!(transfer_function, JxlTransferFunction::SRGB),
+                    ..Default::default()
+                }
+            }
+            JxlColorProfile::Simple(JxlColorEncoding::XYB { .. }) => PngColor::default(),
+        }
+    }
+
+    /// Write the color chunks; must be called after the header and before image data
+    pub(crate) fn write_chunks<W: Write>(&self, writer: &mut png::Writer<W>) -> Result<(), JsValue> {
+        let chunk_error = |e: png::EncodingError| decode_error(ErrorCode::Internal, format!("PNG color chunk error: {}", e));
+
+        if let Some(cicp) = &self.cicp {
+            writer.write_chunk(png::chunk::ChunkType(*b"cICP"), cicp).map_err(chunk_error)?;
+        }
+        if let Some(icc) = &self.icc {
+            // Profile name, null separator, compression method 0 (zlib), compressed profile
+            let mut data = b"ICC profile\0\0".to_vec();
+            data.extend_from_slice(&miniz_oxide::deflate::compress_to_vec_zlib(icc, 6));
+            writer.write_chunk(png::chunk::iCCP, &data).map_err(chunk_error)?;
+        } else if self.srgb {
+            // Rendering intent 0: perceptual
+            writer.write_chunk(png::chunk::sRGB, &[0]).map_err(chunk_error)?;
+        }
+        Ok(())
+    }
+}
+
+/// Convert the decoder output to `target` and describe the resulting colors
+pub(crate) fn apply_color_target(
+    decoder: &mut JxlDecoder<WithImageInfo>,
+    target: ColorTarget,
+) -> Result<PngColor, JsValue> {
+    if let Some(profile) = target.profile() {
+        decoder
+            .set_output_color_profile(&profile)
+            .map_err(|e| decode_error(ErrorCode::Unsupported, format!("Color conversion not supported: {}", e)))?;
+    }
+    Ok(PngColor::from_profile(decoder.output_color_profile()))
+}
+
+/// PNG chunks require an RGB profile for RGB pixel data
+fn is_rgb_icc(icc: &[u8]) -> bool {
+    icc.get(16..20) == Some(b"RGB ")
+}
+
+/// ITU-T H.273 colour primaries code point
+fn cicp_primaries(primaries: &JxlPrimaries) -> Option<u8> {
+    match primaries {
+        JxlPrimaries::SRGB => Some(1),
+        JxlPrimaries::BT2100 => Some(9),
+        JxlPrimaries::P3 => Some(12),
+        _ => None,
+    }
+}
+
+/// ITU-T H.273 transfer characteristics code point
+fn cicp_transfer(transfer_function: &JxlTransferFunction) -> Option<u8> {
+    match transfer_function {
+        JxlTransferFunction::BT709 => Some(1),
+        JxlTransferFunction::Linear => Some(8),
+        JxlTransferFunction::SRGB => Some(13),
+        JxlTransferFunction::PQ => Some(16),
+        JxlTransferFunction::HLG => Some(18),
+        _ => None,
+    }
+}
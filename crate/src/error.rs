@@ -0,0 +1,44 @@
+use std::fmt::Display;
+
+use wasm_bindgen::JsValue;
+
+/// What went wrong, as a stable code for JS.
+///
+/// Errors cross into JS as `"CODE: message"` strings, which survive being
+/// posted from a worker; `JxlDecodeError` (src/errors.js) splits the prefix
+/// back off.
+#[derive(Clone, Copy)]
+pub(crate) enum ErrorCode {
+    /// The data ends before the image is complete
+    Truncated,
+    /// Not a JXL file, or its headers are invalid
+    InvalidHeader,
+    /// Valid headers, but the frame data failed to decode
+    CorruptData,
+    /// The image exceeds the configured decode limits, or memory ran out
+    LimitExceeded,
+    /// A valid file using something this build can't do
+    Unsupported,
+    /// Bad option passed by the caller
+    InvalidArgument,
+    /// Output encoding failed
+    Internal,
+}
+
+impl ErrorCode {
+    fn as_str(self) -> &'static str {
+        match self {
+            ErrorCode::Truncated => "TRUNCATED",
+            ErrorCode::InvalidHeader => "INVALID_HEADER",
+            ErrorCode::CorruptData => "CORRUPT_DATA",
+            ErrorCode::LimitExceeded => "LIMIT_EXCEEDED",
+            ErrorCode::Unsupported => "UNSUPPORTED",
+            ErrorCode::InvalidArgument => "INVALID_ARGUMENT",
+            ErrorCode::Internal => "INTERNAL",
+        }
+    }
+}
+
+pub(crate) fn decode_error(code: ErrorCode, message: impl Display) -> JsValue {
+    JsValue::from_str(&format!("{}: {}", code.as_str(), message))
+}
@@ -0,0 +1,243 @@
+use wasm_bindgen::prelude::*;
+use jxl::api::*;
+use jxl::api::states::WithImageInfo;
+use jxl::headers::extra_channels::ExtraChannel;
+
+use crate::error::{decode_error, ErrorCode};
+use crate::{frame_delay_ms, read_header, ticks_per_second};
+
+/// Image metadata, parsed from headers and frame headers without decoding pixels
+#[wasm_bindgen(getter_with_clone)]
+pub struct JxlInfo {
+    /// Size of the decoded image, with orientation applied
+    pub width: u32,
+    pub height: u32,
+    /// Intrinsic (display) size, which may differ from the coded size
+    pub intrinsic_width: u32,
+    pub intrinsic_height: u32,
+    /// Preview frame size, 0 if there is no preview
+    pub preview_width: u32,
+    pub preview_height: u32,
+    /// EXIF-style orientation, 1-8
+    pub orientation: u32,
+    pub bits_per_sample: u32,
+    pub is_float: bool,
+    pub has_alpha: bool,
+    pub alpha_premultiplied: bool,
+    /// "rgb", "gray" or "xyb"; "icc" when only an ICC profile describes the colors
+    pub color_space: String,
+    /// "srgb", "p3", "bt2100" or "custom"; empty when not described by an enum
+    pub primaries: String,
+    /// "srgb", "linear", "bt709", "pq", "hlg", "dci", "gamma" or empty
+    pub transfer_function: String,
+    pub has_icc_profile: bool,
+    pub is_animated: bool,
+    pub num_frames: usize,
+    /// 0 means loop forever
+    pub loop_count: u32,
+    /// Per-frame durations in ms (all 0 for still images)
+    pub frame_durations: Vec<u32>,
+    /// The file carries JPEG reconstruction data (a losslessly recompressed JPEG)
+    pub is_recompressed_jpeg: bool,
+}
+
+#[wasm_bindgen]
+pub fn get_jxl_info(data: &[u8]) -> Result<JxlInfo, JsValue> {
+    console_error_panic_hook::set_once();
+
+    if data.len() < 2 {
+        return Err(decode_error(ErrorCode::Truncated, "Input too small"));
+    }
+
+    let mut input = data;
+    let decoder_with_info = read_header(&mut input)?;
+
+    let basic_info = decoder_with_info.basic_info().clone();
+    let (width, height) = basic_info.size;
+    let (intrinsic_width, intrinsic_height) = basic_info.intrinsic_size.unwrap_or(basic_info.size);
+    let (preview_width, preview_height) = basic_info.preview_size.unwrap_or((0, 0));
+
+    let (bits_per_sample, is_float) = match basic_info.bit_depth {
+        JxlBitDepth::Int { bits_per_sample } => (bits_per_sample, false),
+        JxlBitDepth::Float { bits_per_sample, .. } => (bits_per_sample, true),
+    };
+
+    let alpha = basic_info
+        .extra_channels
+        .iter()
+        .find(|ec| ec.ec_type == ExtraChannel::Alpha);
+
+    let (color_space, primaries, transfer_function) = describe_color(decoder_with_info.embedded_color_profile());
+    let has_icc_profile = matches!(decoder_with_info.embedded_color_profile(), JxlColorProfile::Icc(_));
+
+    let tps = ticks_per_second(&basic_info);
+    let frame_durations = scan_frame_durations(decoder_with_info, &mut input, tps)?;
+
+    Ok(JxlInfo {
+        width: width as u32,
+        height: height as u32,
+        intrinsic_width: intrinsic_width as u32,
+        intrinsic_height: intrinsic_height as u32,
+        preview_width: preview_width as u32,
+        preview_height: preview_height as u32,
+        orientation: orientation_value(&basic_info.orientation),
+        bits_per_sample,
+        is_float,
+        has_alpha: alpha.is_some(),
+        alpha_premultiplied: alpha.is_some_and(|ec| ec.alpha_associated),
+        color_space,
+        primaries,
+        transfer_function,
+        has_icc_profile,
+        is_animated: basic_info.animation.is_some(),
+        num_frames: frame_durations.len(),
+        loop_count: basic_info.animation.as_ref().map_or(0, |anim| anim.num_loops),
+        frame_durations,
+        is_recompressed_jpeg: find_box(data, b"jbrd").is_some(),
+    })
+}
+
+/// Whether a JXL file is animated, from as little as its first bytes.
+/// Returns `undefined` when the header is not complete yet.
+#[wasm_bindgen]
+pub fn is_jxl_animated(data: &[u8]) -> Option<bool> {
+    let mut input = data;
+    let mut dec = JxlDecoder::new(JxlDecoderOptions::default());
+    loop {
+        match dec.process(&mut input) {
+            Ok(ProcessingResult::Complete { result }) => return Some(result.basic_info().animation.is_some()),
+            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) if !input.is_empty() => dec = fallback,
+            _ => return None,
+        }
+    }
+}
+
+/// Walk the remaining frame headers, skipping pixel data, for exact frame durations in ms
+pub(crate) fn scan_frame_durations(
+    decoder: JxlDecoder<WithImageInfo>,
+    input: &mut &[u8],
+    tps: Option<f64>,
+) -> Result<Vec<u32>, JsValue> {
+    let mut frame_durations = Vec::new();
+    let mut current_decoder = decoder;
+    loop {
+        let mut decoder_with_frame = loop {
+            match current_decoder.process(input) {
+                Ok(ProcessingResult::Complete { result }) => break result,
+                Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                    if input.is_empty() {
+                        return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (frame info)"));
+                    }
+                    current_decoder = fallback;
+                }
+                Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL frame info error: {}", e))),
+            }
+        };
+
+        frame_durations.push(frame_delay_ms(tps, decoder_with_frame.frame_header().duration));
+
+        current_decoder = loop {
+            match decoder_with_frame.skip_frame(input) {
+                Ok(ProcessingResult::Complete { result }) => break result,
+                Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                    if input.is_empty() {
+                        return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (frame data)"));
+                    }
+                    decoder_with_frame = fallback;
+                }
+                Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL frame error: {}", e))),
+            }
+        };
+
+        if !current_decoder.has_more_frames() {
+            return Ok(frame_durations);
+        }
+    }
+}
+
+/// EXIF orientation value for a JXL orientation
+fn orientation_value(orientation: &JxlOrientation) -> u32 {
+    match orientation {
+        JxlOrientation::Identity => 1,
+        JxlOrientation::FlipHorizontal => 2,
+        JxlOrientation::Rotate180 => 3,
+        JxlOrientation::FlipVertical => 4,
+        JxlOrientation::Transpose => 5,
+        JxlOrientation::Rotate90Cw => 6,
+        JxlOrientation::AntiTranspose => 7,
+        JxlOrientation::Rotate90Ccw => 8,
+    }
+}
+
+/// (color space, primaries, transfer function) names for a color profile
+fn describe_color(profile: &JxlColorProfile) -> (String, String, String) {
+    let encoding = match profile {
+        JxlColorProfile::Icc(_) => return ("icc".into(), String::new(), String::new()),
+        JxlColorProfile::Simple(encoding) => encoding,
+    };
+
+    match encoding {
+        JxlColorEncoding::RgbColorSpace { primaries, transfer_function, .. } => (
+            "rgb".into(),
+            primaries_name(primaries).into(),
+            transfer_function_name(transfer_function).into(),
+        ),
+        JxlColorEncoding::GrayscaleColorSpace { transfer_function, .. } => (
+            "gray".into(),
+            String::new(),
+            transfer_function_name(transfer_function).into(),
+        ),
+        JxlColorEncoding::XYB { .. } => ("xyb".into(), String::new(), String::new()),
+    }
+}
+
+fn primaries_name(primaries: &JxlPrimaries) -> &'static str {
+    match primaries {
+        JxlPrimaries::SRGB => "srgb",
+        JxlPrimaries::P3 => "p3",
+        JxlPrimaries::BT2100 => "bt2100",
+        _ => "custom",
+    }
+}
+
+fn transfer_function_name(transfer_function: &JxlTransferFunction) -> &'static str {
+    match transfer_function {
+        JxlTransferFunction::SRGB => "srgb",
+        JxlTransferFunction::Linear => "linear",
+        JxlTransferFunction::BT709 => "bt709",
+        JxlTransferFunction::PQ => "pq",
+        JxlTransferFunction::HLG => "hlg",
+        JxlTransferFunction::DCI => "dci",
+        JxlTransferFunction::Gamma(_) => "gamma",
+    }
+}
+
+/// Find a top-level ISOBMFF box in a JXL container and return its payload.
+/// Bare codestreams (FF 0A) have no boxes.
+pub(crate) fn find_box<'a>(data: &'a [u8], box_type: &[u8; 4]) -> Option<&'a [u8]> {
+    let mut pos = 0;
+    while pos + 8 <= data.len() {
+        let size = u32::from_be_bytes(data[pos..pos + 4].try_into().ok()?) as u64;
+        let kind = &data[pos + 4..pos + 8];
+        let (header_len, box_len) = match size {
+            // Box extends to the end of the file
+            0 => (8, (data.len() - pos) as u64),
+            // 64-bit size follows the type
+            1 => {
+                let large = data.get(pos + 8..pos + 16)?;
+                (16, u64::from_be_bytes(large.try_into().ok()?))
+            }
+            _ => (8, size),
+        };
+        if box_len < header_len as u64 || pos as u64 + box_len > data.len() as u64 {
+            return None;
+        }
+
+        let end = pos + box_len as usize;
+        if kind == box_type {
+            return Some(&data[pos + header_len..end]);
+        }
+        pos = end;
+    }
+    None
+}
@@ -1,228 +1,340 @@
 use wasm_bindgen::prelude::*;
 use jxl::api::*;
+use jxl::api::states::WithImageInfo;
 use jxl::image::{Image, Rect};
 
+mod animation;
+mod color;
+mod error;
+mod info;
+mod limits;
+mod scale;
+mod stream;
+use color::{apply_color_target, parse_bit_depth, ColorTarget, PngColor};
+use error::{decode_error, ErrorCode};
+use limits::DecodeLimits;
+pub use animation::{JxlAnimationDecoder, JxlFrame};
+pub use info::{get_jxl_info, is_jxl_animated, JxlInfo};
+pub use limits::set_decode_limits;
+pub use scale::{decode_jxl_scaled, decode_jxl_scaled_to_png};
+pub use stream::JxlStreamDecoder;
+
 #[wasm_bindgen]
-pub struct JxlInfo {
+pub struct JxlPixels {
     pub width: u32,
     pub height: u32,
-    pub num_frames: usize,
-    pub has_alpha: bool,
+    pixels: Vec<u8>,
+}
+
+#[wasm_bindgen]
+impl JxlPixels {
+    /// Move the RGBA buffer out to JS (the struct is left empty)
+    pub fn take_pixels(&mut self) -> Vec<u8> {
+        std::mem::take(&mut self.pixels)
+    }
+}
+
+/// Sample depth and color chunks shared by every frame of a PNG
+#[derive(Clone)]
+pub(crate) struct PngFormat {
+    bit_depth: u8,
+    color: PngColor,
+}
+
+/// Decoded frames, ready to be encoded or handed to JS
+struct DecodedImage {
+    width: usize,
+    height: usize,
+    is_animated: bool,
+    loop_count: u32, // 0 = forever
+    format: PngFormat,
+    frames: Vec<(Vec<u8>, u32)>, // (pixels, delay_ms)
 }
 
-/// Decode a JXL image to PNG (or APNG if animated)
+/// Decode a JXL image to PNG (or APNG if animated).
+///
+/// `color_target` is "original" (default: keep the image's color encoding and
+/// describe it with sRGB/cICP/iCCP chunks), "srgb" or "display-p3".
+/// `bit_depth` is 8 (default) or 16.
 #[wasm_bindgen]
-pub fn decode_jxl_to_png(data: &[u8]) -> Result<Vec<u8>, JsValue> {
+pub fn decode_jxl_to_png(
+    data: &[u8],
+    color_target: Option<String>,
+    bit_depth: Option<u8>,
+) -> Result<Vec<u8>, JsValue> {
     console_error_panic_hook::set_once();
-    
+
+    let target = ColorTarget::parse(color_target.as_deref())?;
+    let image = decode_frames(data, None, target, parse_bit_depth(bit_depth)?)?;
+
+    // Encode output
+    if image.frames.len() == 1 || !image.is_animated {
+        // Static PNG
+        encode_static_png(image.width, image.height, &image.frames[0].0, &image.format)
+    } else {
+        // Animated PNG (APNG)
+        encode_apng(image.width, image.height, &image.frames, image.loop_count, &image.format)
+    }
+}
+
+/// Decode the first frame of a JXL image to raw RGBA8 pixels, skipping the PNG encode.
+/// `color_target` is as for `decode_jxl_to_png`; the pixels carry no color tags, so
+/// "original" leaves them in the image's own color space.
+#[wasm_bindgen]
+pub fn decode_jxl_to_pixels(data: &[u8], color_target: Option<String>) -> Result<JxlPixels, JsValue> {
+    console_error_panic_hook::set_once();
+
+    let target = ColorTarget::parse(color_target.as_deref())?;
+    let mut image = decode_frames(data, Some(1), target, 8)?;
+    let (pixels, _) = image.frames.swap_remove(0);
+
+    Ok(JxlPixels {
+        width: image.width as u32,
+        height: image.height as u32,
+        pixels,
+    })
+}
+
+/// Decode up to `max_frames` frames (all of them if `None`) to RGBA at `bit_depth`
+fn decode_frames(
+    data: &[u8],
+    max_frames: Option<usize>,
+    target: ColorTarget,
+    bit_depth: u8,
+) -> Result<DecodedImage, JsValue> {
     if data.len() < 2 {
-        return Err(JsValue::from_str("Input too small to be a JXL file"));
+        return Err(decode_error(ErrorCode::Truncated, "Input too small to be a JXL file"));
     }
     
-    let options = JxlDecoderOptions::default();
-    let decoder = JxlDecoder::new(options);
     let mut input = data;
-
-    // Advance to image info
-    let mut dec = decoder;
-    let decoder_with_info = loop {
-        match dec.process(&mut input) {
-            Ok(ProcessingResult::Complete { result }) => break result,
-            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
-                if input.is_empty() {
-                    return Err(JsValue::from_str("Incomplete JXL data (header)"));
-                }
-                dec = fallback;
-            }
-            Err(e) => return Err(JsValue::from_str(&format!("JXL header error: {}", e))),
-        }
-    };
+    let mut decoder_with_info = read_header(&mut input)?;
     
     let basic_info = decoder_with_info.basic_info().clone();
     let (width, height) = basic_info.size;
     
     if width == 0 || height == 0 {
-        return Err(JsValue::from_str("Invalid image dimensions"));
+        return Err(decode_error(ErrorCode::InvalidHeader, "Invalid image dimensions"));
     }
+    let limits = DecodeLimits::current();
+    limits.check_size(width, height)?;
     
     // Check if animated
     let is_animated = basic_info.animation.is_some();
-    let animation_info = basic_info.animation.clone();
+    let loop_count = basic_info.animation.as_ref().map_or(0, |anim| anim.num_loops);
+    let tps = ticks_per_second(&basic_info);
     
-    // Build pixel format
-    let num_extra_channels = basic_info.extra_channels.len();
-    let pixel_format = JxlPixelFormat {
-        color_type: JxlColorType::Rgba,
-        color_data_format: Some(JxlDataFormat::U8 { bit_depth: 8 }),
-        extra_channel_format: vec![None; num_extra_channels],
-    };
-    
-    let mut decoder_with_info = decoder_with_info;
-    decoder_with_info.set_pixel_format(pixel_format);
+    let color = apply_color_target(&mut decoder_with_info, target)?;
+    decoder_with_info.set_pixel_format(rgba_pixel_format(&basic_info, bit_depth));
     
     // Collect all frames
     let mut frames: Vec<(Vec<u8>, u32)> = Vec::new(); // (pixels, delay_ms)
-    let stride = width * 4;
+    let stride = width * bytes_per_pixel(bit_depth);
     
     let mut current_decoder = decoder_with_info;
     
     loop {
-        // Advance to frame info
-        let decoder_with_frame = loop {
-            match current_decoder.process(&mut input) {
-                Ok(ProcessingResult::Complete { result }) => break result,
-                Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
-                    if input.is_empty() {
-                        return Err(JsValue::from_str("Incomplete JXL data (frame info)"));
-                    }
-                    current_decoder = fallback;
-                }
-                Err(e) => return Err(JsValue::from_str(&format!("JXL frame info error: {}", e))),
-            }
-        };
-        
-        // Get frame duration if animated
-        let frame_header = decoder_with_frame.frame_header();
-        let delay_ms = if let Some(ref anim) = animation_info {
-            // duration is in ticks, convert to ms
-            // tps = ticks per second = tps_numerator / tps_denominator
-            let tps = anim.tps_numerator as f64 / anim.tps_denominator as f64;
-            let duration_ticks = frame_header.duration.unwrap_or(1.0);
-            ((duration_ticks / tps) * 1000.0) as u32
-        } else {
-            0
-        };
+        limits.check_frame(frames.len() + 1, stride * height)?;
+        let (next_decoder, pixels, delay_ms) = decode_next_frame(current_decoder, &mut input, stride, height, tps)?;
+        current_decoder = next_decoder;
+        frames.push((pixels, delay_ms));
         
-        // Allocate and decode frame
-        let mut image_buffer = Image::<u8>::new((stride, height))
-            .map_err(|e| JsValue::from_str(&format!("Buffer alloc failed: {}", e)))?;
-        
-        {
-            let rect = Rect {
-                origin: (0, 0),
-                size: (stride, height),
-            };
-            
-            let mut buffers = vec![JxlOutputBuffer::from_image_rect_mut(
-                image_buffer.get_rect_mut(rect).into_raw()
-            )];
-            
-            let mut dec3 = decoder_with_frame;
-            loop {
-                match dec3.process(&mut input, &mut buffers) {
-                    Ok(ProcessingResult::Complete { result }) => {
-                        current_decoder = result;
-                        break;
-                    }
-                    Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
-                        if input.is_empty() {
-                            return Err(JsValue::from_str("Incomplete JXL data (pixels)"));
-                        }
-                        dec3 = fallback;
-                    }
-                    Err(e) => return Err(JsValue::from_str(&format!("JXL decode error: {}", e))),
+        // Check for more frames
+        if !current_decoder.has_more_frames() || max_frames.is_some_and(|max| frames.len() >= max) {
+            break;
+        }
+    }
+
+    Ok(DecodedImage {
+        width,
+        height,
+        is_animated,
+        loop_count,
+        format: PngFormat { bit_depth, color },
+        frames,
+    })
+}
+
+/// Parse the image header of a complete JXL file
+fn read_header(input: &mut &[u8]) -> Result<JxlDecoder<WithImageInfo>, JsValue> {
+    let mut dec = JxlDecoder::new(JxlDecoderOptions::default());
+    loop {
+        match dec.process(input) {
+            Ok(ProcessingResult::Complete { result }) => return Ok(result),
+            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                if input.is_empty() {
+                    return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (header)"));
                 }
+                dec = fallback;
             }
+            Err(e) => return Err(decode_error(ErrorCode::InvalidHeader, format!("JXL header error: {}", e))),
         }
-        
-        // Flatten to contiguous buffer
-        let mut flat_pixels = Vec::with_capacity(stride * height);
-        for y in 0..height {
-            flat_pixels.extend_from_slice(image_buffer.row(y));
+    }
+}
+
+/// Decode the next frame from a complete JXL file into rows of `stride` bytes.
+/// Returns the decoder for the following frame, the pixels and the frame delay in ms.
+fn decode_next_frame(
+    decoder: JxlDecoder<WithImageInfo>,
+    input: &mut &[u8],
+    stride: usize,
+    height: usize,
+    tps: Option<f64>,
+) -> Result<(JxlDecoder<WithImageInfo>, Vec<u8>, u32), JsValue> {
+    // Advance to frame info
+    let mut current_decoder = decoder;
+    let decoder_with_frame = loop {
+        match current_decoder.process(input) {
+            Ok(ProcessingResult::Complete { result }) => break result,
+            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                if input.is_empty() {
+                    return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (frame info)"));
+                }
+                current_decoder = fallback;
+            }
+            Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL frame info error: {}", e))),
         }
-        
-        frames.push((flat_pixels, delay_ms.max(10))); // min 10ms delay
-        
-        // Check for more frames
-        if !current_decoder.has_more_frames() {
-            break;
+    };
+    
+    // Get frame duration if animated
+    let delay_ms = frame_delay_ms(tps, decoder_with_frame.frame_header().duration);
+    
+    // Allocate and decode frame
+    let mut image_buffer = Image::<u8>::new((stride, height))
+        .map_err(|e| decode_error(ErrorCode::LimitExceeded, format!("Buffer alloc failed: {}", e)))?;
+    
+    let rect = Rect {
+        origin: (0, 0),
+        size: (stride, height),
+    };
+    
+    let mut buffers = vec![JxlOutputBuffer::from_image_rect_mut(
+        image_buffer.get_rect_mut(rect).into_raw()
+    )];
+    
+    let mut dec3 = decoder_with_frame;
+    let next_decoder = loop {
+        match dec3.process(input, &mut buffers) {
+            Ok(ProcessingResult::Complete { result }) => break result,
+            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                if input.is_empty() {
+                    return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (pixels)"));
+                }
+                dec3 = fallback;
+            }
+            Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL decode error: {}", e))),
         }
-    }
+    };
+    drop(buffers);
     
-    // Encode output
-    if frames.len() == 1 || !is_animated {
-        // Static PNG
-        encode_static_png(width, height, &frames[0].0)
+    Ok((next_decoder, flatten_rows(&image_buffer, height), delay_ms))
+}
+
+/// RGBA output at 8 or 16 bits per sample, ignoring extra channels beyond alpha.
+/// 16-bit samples are big-endian, as PNG stores them.
+fn rgba_pixel_format(basic_info: &JxlBasicInfo, bit_depth: u8) -> JxlPixelFormat {
+    let color_data_format = if bit_depth == 16 {
+        JxlDataFormat::U16 { endianness: Endianness::BigEndian, bit_depth: 16 }
     } else {
-        // Animated PNG (APNG)
-        encode_apng(width, height, &frames)
+        JxlDataFormat::U8 { bit_depth: 8 }
+    };
+    JxlPixelFormat {
+        color_type: JxlColorType::Rgba,
+        color_data_format: Some(color_data_format),
+        extra_channel_format: vec![None; basic_info.extra_channels.len()],
+    }
+}
+
+/// Bytes per RGBA pixel at 8 or 16 bits per sample
+fn bytes_per_pixel(bit_depth: u8) -> usize {
+    4 * (bit_depth as usize / 8)
+}
+
+/// Animation ticks per second, or `None` for still images
+fn ticks_per_second(basic_info: &JxlBasicInfo) -> Option<f64> {
+    basic_info
+        .animation
+        .as_ref()
+        .map(|anim| anim.tps_numerator as f64 / anim.tps_denominator as f64)
+}
+
+/// Convert a frame duration in ticks to milliseconds
+fn frame_delay_ms(tps: Option<f64>, duration_ticks: Option<f64>) -> u32 {
+    match tps {
+        Some(tps) => ((duration_ticks.unwrap_or(1.0) / tps) * 1000.0) as u32,
+        None => 0,
+    }
+}
+
+/// Copy a (possibly padded) frame buffer into a contiguous pixel vector
+fn flatten_rows(image: &Image<u8>, height: usize) -> Vec<u8> {
+    let (stride, _) = image.size();
+    let mut flat_pixels = Vec::with_capacity(stride * height);
+    for y in 0..height {
+        flat_pixels.extend_from_slice(image.row(y));
     }
+    flat_pixels
+}
+
+/// PNG encoder for RGBA output in `format`
+fn png_encoder<W: std::io::Write>(output: W, width: usize, height: usize, format: &PngFormat) -> png::Encoder<W> {
+    let mut encoder = png::Encoder::new(output, width as u32, height as u32);
+    encoder.set_color(png::ColorType::Rgba);
+    encoder.set_depth(if format.bit_depth == 16 { png::BitDepth::Sixteen } else { png::BitDepth::Eight });
+    encoder
 }
 
-fn encode_static_png(width: usize, height: usize, pixels: &[u8]) -> Result<Vec<u8>, JsValue> {
-    use image::ImageEncoder;
+fn encode_static_png(width: usize, height: usize, pixels: &[u8], format: &PngFormat) -> Result<Vec<u8>, JsValue> {
+    let mut output = Vec::new();
     
-    let mut png_data = Vec::new();
-    let encoder = image::codecs::png::PngEncoder::new(&mut png_data);
-    encoder.write_image(
-        pixels,
-        width as u32,
-        height as u32,
-        image::ColorType::Rgba8
-    ).map_err(|e| JsValue::from_str(&format!("PNG encode error: {}", e)))?;
+    {
+        let encoder = png_encoder(&mut output, width, height, format);
+        let mut writer = encoder.write_header().map_err(|e| decode_error(ErrorCode::Internal, format!("PNG header error: {}", e)))?;
+        format.color.write_chunks(&mut writer)?;
+        writer.write_image_data(pixels).map_err(|e| decode_error(ErrorCode::Internal, format!("PNG encode error: {}", e)))?;
+        writer.finish().map_err(|e| decode_error(ErrorCode::Internal, format!("PNG finish error: {}", e)))?;
+    }
     
-    Ok(png_data)
+    Ok(output)
 }
 
-fn encode_apng(width: usize, height: usize, frames: &[(Vec<u8>, u32)]) -> Result<Vec<u8>, JsValue> {
+fn encode_apng(
+    width: usize,
+    height: usize,
+    frames: &[(Vec<u8>, u32)],
+    loop_count: u32,
+    format: &PngFormat,
+) -> Result<Vec<u8>, JsValue> {
     let mut output = Vec::new();
     
     {
-        let mut encoder = png::Encoder::new(&mut output, width as u32, height as u32);
-        encoder.set_color(png::ColorType::Rgba);
-        encoder.set_depth(png::BitDepth::Eight);
-        encoder.set_animated(frames.len() as u32, 0).map_err(|e| JsValue::from_str(&format!("APNG setup error: {}", e)))?;
+        let mut encoder = png_encoder(&mut output, width, height, format);
+        encoder.set_animated(frames.len() as u32, loop_count).map_err(|e| decode_error(ErrorCode::Internal, format!("APNG setup error: {}", e)))?;
         
-        let mut writer = encoder.write_header().map_err(|e| JsValue::from_str(&format!("PNG header error: {}", e)))?;
+        let mut writer = encoder.write_header().map_err(|e| decode_error(ErrorCode::Internal, format!("PNG header error: {}", e)))?;
+        format.color.write_chunks(&mut writer)?;
         
         for (i, (pixels, delay_ms)) in frames.iter().enumerate() {
-            // Set frame delay: delay_ms milliseconds = delay_ms/1000 seconds
-            // png crate uses num/den format
-            writer.set_frame_delay(*delay_ms as u16, 1000).map_err(|e| JsValue::from_str(&format!("Frame delay error: {}", e)))?;
+            // The exact delay, as delay_ms/1000 seconds; 0 means "as fast as possible", which is up to
+            // the browser. Delays past 65.535 s no longer fit a u16 of ms, so they go in centiseconds.
+            let (num, den) = if *delay_ms <= u16::MAX as u32 {
+                (*delay_ms as u16, 1000)
+            } else {
+                ((*delay_ms / 10).min(u16::MAX as u32) as u16, 100)
+            };
+            writer.set_frame_delay(num, den).map_err(|e| decode_error(ErrorCode::Internal, format!("Frame delay error: {}", e)))?;
             
-            writer.write_image_data(pixels).map_err(|e| JsValue::from_str(&format!("Frame {} write error: {}", i, e)))?;
+            writer.write_image_data(pixels).map_err(|e| decode_error(ErrorCode::Internal, format!("Frame {} write error: {}", i, e)))?;
         }
         
-        writer.finish().map_err(|e| JsValue::from_str(&format!("APNG finish error: {}", e)))?;
+        writer.finish().map_err(|e| decode_error(ErrorCode::Internal, format!("APNG finish error: {}", e)))?;
     }
     
     Ok(output)
 }
 
+/// Version of this decoder build. Persisted decode results are keyed on it,
+/// so bump the crate version whenever decoded output can change.
 #[wasm_bindgen]
-pub fn get_jxl_info(data: &[u8]) -> Result<JxlInfo, JsValue> {
-    console_error_panic_hook::set_once();
-    
-    if data.len() < 2 {
-        return Err(JsValue::from_str("Input too small"));
-    }
-    
-    let options = JxlDecoderOptions::default();
-    let decoder = JxlDecoder::new(options);
-    let mut input = data;
-
-    let mut dec = decoder;
-    let decoder_with_info = loop {
-        match dec.process(&mut input) {
-            Ok(ProcessingResult::Complete { result }) => break result,
-            Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
-                if input.is_empty() {
-                    return Err(JsValue::from_str("Incomplete JXL data"));
-                }
-                dec = fallback;
-            }
-            Err(e) => return Err(JsValue::from_str(&format!("JXL parse error: {}", e))),
-        }
-    };
-    
-    let info = decoder_with_info.basic_info();
-    let has_alpha = !info.extra_channels.is_empty();
-    let num_frames = if info.animation.is_some() { 2 } else { 1 }; // Approximate
-    
-    Ok(JxlInfo {
-        width: info.size.0 as u32,
-        height: info.size.1 as u32,
-        num_frames,
-        has_alpha,
-    })
+pub fn decoder_version() -> String {
+    env!("CARGO_PKG_VERSION").to_string()
 }
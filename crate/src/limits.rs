@@ -0,0 +1,75 @@
+use std::cell::Cell;
+
+use wasm_bindgen::prelude::*;
+
+use crate::error::{decode_error, ErrorCode};
+
+/// Caps checked before pixel buffers are allocated, so a hostile or absurdly
+/// large file fails with LIMIT_EXCEEDED instead of exhausting memory.
+#[derive(Clone, Copy)]
+pub(crate) struct DecodeLimits {
+    /// Pixels per frame
+    max_pixels: u64,
+    max_frames: usize,
+    /// Decoded pixel memory across all frames
+    max_total_bytes: u64,
+}
+
+impl DecodeLimits {
+    const DEFAULT: DecodeLimits = DecodeLimits {
+        max_pixels: 128 * 1024 * 1024,
+        max_frames: 1000,
+        max_total_bytes: 1024 * 1024 * 1024,
+    };
+
+    pub(crate) fn current() -> DecodeLimits {
+        LIMITS.with(Cell::get)
+    }
+
+    pub(crate) fn check_size(&self, width: usize, height: usize) -> Result<(), JsValue> {
+        let pixels = width as u64 * height as u64;
+        if pixels > self.max_pixels {
+            return Err(decode_error(
+                ErrorCode::LimitExceeded,
+                format!("Image is {}x{}, over the limit of {} pixels", width, height, self.max_pixels),
+            ));
+        }
+        Ok(())
+    }
+
+    /// Check before decoding frame number `count` (1-based) of `frame_bytes` each
+    pub(crate) fn check_frame(&self, count: usize, frame_bytes: usize) -> Result<(), JsValue> {
+        if count > self.max_frames {
+            return Err(decode_error(
+                ErrorCode::LimitExceeded,
+                format!("Animation has more than {} frames", self.max_frames),
+            ));
+        }
+        if count as u64 * frame_bytes as u64 > self.max_total_bytes {
+            return Err(decode_error(
+                ErrorCode::LimitExceeded,
+                format!("Decoded frames exceed the limit of {} bytes", self.max_total_bytes),
+            ));
+        }
+        Ok(())
+    }
+}
+
+thread_local! {
+    static LIMITS: Cell<DecodeLimits> = const { Cell::new(DecodeLimits::DEFAULT) };
+}
+
+/// Set the decode limits for this WASM instance (each worker has its own).
+/// Omitted values reset to the defaults: 128 megapixels per frame,
+/// 1000 frames and 1 GiB of decoded pixels.
+#[wasm_bindgen]
+pub fn set_decode_limits(max_pixels: Option<f64>, max_frames: Option<u32>, max_total_bytes: Option<f64>) {
+    let defaults = DecodeLimits::DEFAULT;
+    LIMITS.with(|limits| {
+        limits.set(DecodeLimits {
+            max_pixels: max_pixels.map_or(defaults.max_pixels, |n| n as u64),
+            max_frames: max_frames.map_or(defaults.max_frames, |n| n as usize),
+            max_total_bytes: max_total_bytes.map_or(defaults.max_total_bytes, |n| n as u64),
+        })
+    });
+}
@@ -0,0 +1,215 @@
+use wasm_bindgen::prelude::*;
+
+use crate::color::{parse_bit_depth, ColorTarget};
+use crate::error::{decode_error, ErrorCode};
+use crate::{bytes_per_pixel, decode_frames, encode_static_png, JxlPixels, PngFormat};
+
+/// Crop rectangle in source pixels
+struct Crop {
+    x: usize,
+    y: usize,
+    width: usize,
+    height: usize,
+}
+
+impl Crop {
+    /// Parse `[x, y, width, height]`, clipped to the image
+    fn parse(crop: Option<Vec<u32>>, width: usize, height: usize) -> Result<Option<Crop>, JsValue> {
+        let Some(crop) = crop else {
+            return Ok(None);
+        };
+        let [x, y, crop_width, crop_height] = crop[..] else {
+            return Err(decode_error(ErrorCode::InvalidArgument, "Crop must be [x, y, width, height]"));
+        };
+
+        let (x, y) = (x as usize, y as usize);
+        if x >= width || y >= height || crop_width == 0 || crop_height == 0 {
+            return Err(decode_error(ErrorCode::InvalidArgument, "Crop rectangle is outside the image"));
+        }
+        Ok(Some(Crop {
+            x,
+            y,
+            width: (crop_width as usize).min(width - x),
+            height: (crop_height as usize).min(height - y),
+        }))
+    }
+}
+
+/// First frame as RGBA (8 or 16 bits per sample), cropped and then downscaled, with the PNG
+/// format it came with
+struct ScaledImage {
+    width: usize,
+    height: usize,
+    pixels: Vec<u8>,
+    format: PngFormat,
+}
+
+/// Decode the first frame, crop it, and shrink it to fit `max_width` x `max_height`.
+///
+/// jxl-rs renders whole frames at full size (progressive passes too), so
+/// the frame is decoded at full resolution and then reduced with an
+/// area-averaging filter. Peak memory still includes the full-resolution
+/// frame; what's saved is the size of everything downstream (the returned
+/// buffer, PNG, blob and the browser's decoded bitmap).
+fn decode_scaled(
+    data: &[u8],
+    max_width: Option<u32>,
+    max_height: Option<u32>,
+    crop: Option<Vec<u32>>,
+    target: ColorTarget,
+    bit_depth: u8,
+) -> Result<ScaledImage, JsValue> {
+    let mut image = decode_frames(data, Some(1), target, bit_depth)?;
+    let (mut pixels, _) = image.frames.swap_remove(0);
+    let (mut width, mut height) = (image.width, image.height);
+
+    if let Some(crop) = Crop::parse(crop, width, height)? {
+        pixels = crop_rgba(&pixels, width, &crop, bit_depth);
+        width = crop.width;
+        height = crop.height;
+    }
+
+    let (new_width, new_height) = fit_within(width, height, max_width, max_height);
+    if (new_width, new_height) != (width, height) {
+        pixels = downscale_rgba(&pixels, width, height, new_width, new_height, bit_depth);
+    }
+
+    Ok(ScaledImage {
+        width: new_width,
+        height: new_height,
+        pixels,
+        format: image.format,
+    })
+}
+
+/// Decode the first frame to RGBA8 pixels, cropped to `crop` (`[x, y, width, height]`
+/// in source pixels) and then downscaled to fit within `max_width` x `max_height`,
+/// keeping the aspect ratio. Images are never upscaled.
+/// `color_target` is as for `decode_jxl_to_png`; the pixels carry no color tags, so
+/// "original" leaves them in the image's own color space.
+#[wasm_bindgen]
+pub fn decode_jxl_scaled(
+    data: &[u8],
+    max_width: Option<u32>,
+    max_height: Option<u32>,
+    crop: Option<Vec<u32>>,
+    color_target: Option<String>,
+) -> Result<JxlPixels, JsValue> {
+    console_error_panic_hook::set_once();
+
+    let target = ColorTarget::parse(color_target.as_deref())?;
+    let image = decode_scaled(data, max_width, max_height, crop, target, 8)?;
+    Ok(JxlPixels {
+        width: image.width as u32,
+        height: image.height as u32,
+        pixels: image.pixels,
+    })
+}
+
+/// `decode_jxl_scaled`, encoded as a PNG with the image's color chunks.
+/// `bit_depth` is 8 (default) or 16, as for `decode_jxl_to_png`.
+#[wasm_bindgen]
+pub fn decode_jxl_scaled_to_png(
+    data: &[u8],
+    max_width: Option<u32>,
+    max_height: Option<u32>,
+    crop: Option<Vec<u32>>,
+    color_target: Option<String>,
+    bit_depth: Option<u8>,
+) -> Result<Vec<u8>, JsValue> {
+    console_error_panic_hook::set_once();
+
+    let target = ColorTarget::parse(color_target.as_deref())?;
+    let image = decode_scaled(data, max_width, max_height, crop, target, parse_bit_depth(bit_depth)?)?;
+    encode_static_png(image.width, image.height, &image.pixels, &image.format)
+}
+
+/// Largest size within the limits that keeps the aspect ratio, never larger than the source
+fn fit_within(width: usize, height: usize, max_width: Option<u32>, max_height: Option<u32>) -> (usize, usize) {
+    let mut scale: f64 = 1.0;
+    if let Some(max_width) = max_width.filter(|&w| w > 0) {
+        scale = scale.min(max_width as f64 / width as f64);
+    }
+    if let Some(max_height) = max_height.filter(|&h| h > 0) {
+        scale = scale.min(max_height as f64 / height as f64);
+    }
+    if scale >= 1.0 {
+        return (width, height);
+    }
+    (
+        ((width as f64 * scale).round() as usize).max(1),
+        ((height as f64 * scale).round() as usize).max(1),
+    )
+}
+
+fn crop_rgba(pixels: &[u8], width: usize, crop: &Crop, bit_depth: u8) -> Vec<u8> {
+    let pixel_size = bytes_per_pixel(bit_depth);
+    let mut cropped = Vec::with_capacity(crop.width * crop.height * pixel_size);
+    for y in crop.y..crop.y + crop.height {
+        let start = (y * width + crop.x) * pixel_size;
+        cropped.extend_from_slice(&pixels[start..start + crop.width * pixel_size]);
+    }
+    cropped
+}
+
+/// Area-averaging downscale. Color is weighted by alpha so transparent
+/// pixels don't bleed their (arbitrary) color into the edges. 16-bit
+/// samples are big-endian, as decoded for PNG.
+fn downscale_rgba(
+    pixels: &[u8],
+    width: usize,
+    height: usize,
+    new_width: usize,
+    new_height: usize,
+    bit_depth: u8,
+) -> Vec<u8> {
+    let sample_size = bit_depth as usize / 8;
+    let read = |i: usize| -> u64 {
+        if sample_size == 2 {
+            u16::from_be_bytes([pixels[i], pixels[i + 1]]) as u64
+        } else {
+            pixels[i] as u64
+        }
+    };
+    let mut output = vec![0u8; new_width * new_height * 4 * sample_size];
+    let mut write = |o: usize, value: u64| {
+        if sample_size == 2 {
+            output[o..o + 2].copy_from_slice(&(value as u16).to_be_bytes());
+        } else {
+            output[o] = value as u8;
+        }
+    };
+
+    for out_y in 0..new_height {
+        let y0 = out_y * height / new_height;
+        let y1 = ((out_y + 1) * height / new_height).max(y0 + 1);
+
+        for out_x in 0..new_width {
+            let x0 = out_x * width / new_width;
+            let x1 = ((out_x + 1) * width / new_width).max(x0 + 1);
+
+            let mut sums = [0u64; 4];
+            for y in y0..y1 {
+                for x in x0..x1 {
+                    let i = (y * width + x) * 4 * sample_size;
+                    let alpha = read(i + 3 * sample_size);
+                    for c in 0..3 {
+                        sums[c] += read(i + c * sample_size) * alpha;
+                    }
+                    sums[3] += alpha;
+                }
+            }
+
+            let count = ((y1 - y0) * (x1 - x0)) as u64;
+            let o = (out_y * new_width + out_x) * 4 * sample_size;
+            if sums[3] > 0 {
+                for c in 0..3 {
+                    write(o + c * sample_size, (sums[c] + sums[3] / 2) / sums[3]);
+                }
+            }
+            write(o + 3 * sample_size, (sums[3] + count / 2) / count);
+        }
+    }
+
+    output
+}
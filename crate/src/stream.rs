@@ -0,0 +1,241 @@
+use wasm_bindgen::prelude::*;
+use jxl::api::*;
+use jxl::api::states::{Initialized, WithFrameInfo, WithImageInfo};
+use jxl::image::{Image, Rect};
+
+use crate::color::{apply_color_target, parse_bit_depth, ColorTarget, PngColor};
+use crate::error::{decode_error, ErrorCode};
+use crate::limits::DecodeLimits;
+use crate::{
+    bytes_per_pixel, encode_apng, encode_static_png, flatten_rows, frame_delay_ms, rgba_pixel_format,
+    ticks_per_second, PngFormat,
+};
+
+enum StreamState {
+    Initialized(JxlDecoder<Initialized>),
+    WithImageInfo(JxlDecoder<WithImageInfo>),
+    WithFrameInfo(JxlDecoder<WithFrameInfo>),
+    Finished,
+}
+
+/// Incremental JXL decoder that accepts bytes as they arrive.
+///
+/// Feed network chunks with `push`, call `flush` + `current_png` to paint
+/// intermediate passes (DC/low-res first, then refinements) of still images,
+/// and `finish` once the stream has ended to get the final PNG/APNG.
+#[wasm_bindgen]
+pub struct JxlStreamDecoder {
+    state: Option<StreamState>,
+    // Bytes received but not yet consumed by the decoder
+    buffer: Vec<u8>,
+    width: usize,
+    height: usize,
+    is_animated: bool,
+    loop_count: u32,
+    tps: Option<f64>,
+    target: ColorTarget,
+    // Decode limits in effect when the stream started
+    limits: DecodeLimits,
+    // Bit depth and color chunks of the output, known once the header is parsed
+    format: PngFormat,
+    // Frame currently being decoded, and its delay
+    frame: Option<(Image<u8>, u32)>,
+    frames: Vec<(Vec<u8>, u32)>,
+}
+
+#[wasm_bindgen]
+impl JxlStreamDecoder {
+    /// `color_target` and `bit_depth` are as for `decode_jxl_to_png`
+    #[wasm_bindgen(constructor)]
+    pub fn new(color_target: Option<String>, bit_depth: Option<u8>) -> Result<JxlStreamDecoder, JsValue> {
+        console_error_panic_hook::set_once();
+
+        let target = ColorTarget::parse(color_target.as_deref())?;
+        let bit_depth = parse_bit_depth(bit_depth)?;
+
+        let mut options = JxlDecoderOptions::default();
+        options.progressive_mode = JxlProgressiveMode::Pass;
+
+        Ok(JxlStreamDecoder {
+            state: Some(StreamState::Initialized(JxlDecoder::new(options))),
+            buffer: Vec::new(),
+            width: 0,
+            height: 0,
+            is_animated: false,
+            loop_count: 0,
+            tps: None,
+            target,
+            limits: DecodeLimits::current(),
+            format: PngFormat { bit_depth, color: PngColor::default() },
+            frame: None,
+            frames: Vec::new(),
+        })
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn width(&self) -> u32 {
+        self.width as u32
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn height(&self) -> u32 {
+        self.height as u32
+    }
+
+    /// True once every frame has been decoded
+    pub fn is_complete(&self) -> bool {
+        matches!(self.state, Some(StreamState::Finished))
+    }
+
+    /// Append a chunk of input and decode as far as it allows.
+    /// Returns true if a frame was completed by this chunk.
+    pub fn push(&mut self, chunk: &[u8]) -> Result<bool, JsValue> {
+        self.buffer.extend_from_slice(chunk);
+
+        let mut input: &[u8] = &self.buffer;
+        let frames_before = self.frames.len();
+
+        loop {
+            match self.state.take() {
+                Some(StreamState::Initialized(dec)) => match dec.process(&mut input) {
+                    Ok(ProcessingResult::Complete { mut result }) => {
+                        let basic_info = result.basic_info().clone();
+                        let (width, height) = basic_info.size;
+                        if width == 0 || height == 0 {
+                            return Err(decode_error(ErrorCode::InvalidHeader, "Invalid image dimensions"));
+                        }
+                        self.limits.check_size(width, height)?;
+                        self.width = width;
+                        self.height = height;
+                        self.is_animated = basic_info.animation.is_some();
+                        self.loop_count = basic_info.animation.as_ref().map_or(0, |anim| anim.num_loops);
+                        self.tps = ticks_per_second(&basic_info);
+                        self.format.color = apply_color_target(&mut result, self.target)?;
+                        result.set_pixel_format(rgba_pixel_format(&basic_info, self.format.bit_depth));
+                        self.state = Some(StreamState::WithImageInfo(result));
+                    }
+                    Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                        self.state = Some(StreamState::Initialized(fallback));
+                        break;
+                    }
+                    Err(e) => return Err(decode_error(ErrorCode::InvalidHeader, format!("JXL header error: {}", e))),
+                },
+                Some(StreamState::WithImageInfo(dec)) => match dec.process(&mut input) {
+                    Ok(ProcessingResult::Complete { result }) => {
+                        let delay_ms = frame_delay_ms(self.tps, result.frame_header().duration);
+                        self.limits.check_frame(self.frames.len() + 1, self.stride() * self.height)?;
+                        let image_buffer = Image::<u8>::new((self.stride(), self.height))
+                            .map_err(|e| decode_error(ErrorCode::LimitExceeded, format!("Buffer alloc failed: {}", e)))?;
+                        self.frame = Some((image_buffer, delay_ms));
+                        self.state = Some(StreamState::WithFrameInfo(result));
+                    }
+                    Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                        self.state = Some(StreamState::WithImageInfo(fallback));
+                        break;
+                    }
+                    Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL frame info error: {}", e))),
+                },
+                Some(StreamState::WithFrameInfo(dec)) => {
+                    let rect = Rect {
+                        origin: (0, 0),
+                        size: (self.stride(), self.height),
+                    };
+                    let (image_buffer, delay_ms) = self.frame.as_mut().unwrap();
+                    let mut buffers = vec![JxlOutputBuffer::from_image_rect_mut(
+                        image_buffer.get_rect_mut(rect).into_raw()
+                    )];
+
+                    match dec.process(&mut input, &mut buffers) {
+                        Ok(ProcessingResult::Complete { result }) => {
+                            let pixels = flatten_rows(image_buffer, self.height);
+                            self.frames.push((pixels, *delay_ms));
+                            self.frame = None;
+                            self.state = Some(if result.has_more_frames() {
+                                StreamState::WithImageInfo(result)
+                            } else {
+                                StreamState::Finished
+                            });
+                        }
+                        Ok(ProcessingResult::NeedsMoreInput { fallback, .. }) => {
+                            self.state = Some(StreamState::WithFrameInfo(fallback));
+                            break;
+                        }
+                        Err(e) => return Err(decode_error(ErrorCode::CorruptData, format!("JXL decode error: {}", e))),
+                    }
+                }
+                Some(StreamState::Finished) => {
+                    self.state = Some(StreamState::Finished);
+                    break;
+                }
+                None => return Err(decode_error(ErrorCode::InvalidArgument, "Stream decoder failed earlier")),
+            }
+        }
+
+        let consumed = self.buffer.len() - input.len();
+        self.buffer.drain(..consumed);
+
+        Ok(self.frames.len() > frames_before)
+    }
+
+    /// Render whatever has been decoded of the first frame so far.
+    /// Returns false when there is nothing new to paint (no frame in
+    /// progress, or an animation, where partial frames are not shown).
+    pub fn flush(&mut self) -> Result<bool, JsValue> {
+        if self.is_animated || !self.frames.is_empty() {
+            return Ok(false);
+        }
+
+        let rect = Rect {
+            origin: (0, 0),
+            size: (self.stride(), self.height),
+        };
+        let (Some(StreamState::WithFrameInfo(dec)), Some((image_buffer, _))) =
+            (self.state.as_mut(), self.frame.as_mut())
+        else {
+            return Ok(false);
+        };
+
+        let mut buffers = vec![JxlOutputBuffer::from_image_rect_mut(
+            image_buffer.get_rect_mut(rect).into_raw()
+        )];
+
+        dec.flush_pixels(&mut buffers)
+            .map_err(|e| decode_error(ErrorCode::CorruptData, format!("JXL flush error: {}", e)))?;
+
+        Ok(true)
+    }
+
+    /// PNG of the partially decoded first frame, as of the last `flush`
+    pub fn current_png(&self) -> Result<Option<Vec<u8>>, JsValue> {
+        if let Some((pixels, _)) = self.frames.first() {
+            return encode_static_png(self.width, self.height, pixels, &self.format).map(Some);
+        }
+        match &self.frame {
+            Some((image_buffer, _)) => {
+                let pixels = flatten_rows(image_buffer, self.height);
+                encode_static_png(self.width, self.height, &pixels, &self.format).map(Some)
+            }
+            None => Ok(None),
+        }
+    }
+
+    /// Signal the end of input and encode the final PNG (or APNG if animated)
+    pub fn finish(&mut self) -> Result<Vec<u8>, JsValue> {
+        if !self.is_complete() {
+            return Err(decode_error(ErrorCode::Truncated, "Incomplete JXL data (stream ended)"));
+        }
+
+        if self.frames.len() == 1 || !self.is_animated {
+            encode_static_png(self.width, self.height, &self.frames[0].0, &self.format)
+        } else {
+            encode_apng(self.width, self.height, &self.frames, self.loop_count, &self.format)
+        }
+    }
+}
+
+impl JxlStreamDecoder {
+    /// Bytes per row of the frame buffer
+    fn stride(&self) -> usize {
+        self.width * bytes_per_pixel(self.format.bit_depth)
+    }
+}
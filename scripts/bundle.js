@@ -40,11 +40,61 @@ await esbuild.build({
   sourcemap: true,
 });
 
+// Build the decode worker used by the ESM worker pool (module worker)
+await esbuild.build({
+  entryPoints: [join(srcDir, 'worker.js')],
+  bundle: true,
+  format: 'esm',
+  outfile: join(distDir, 'worker.js'),
+  external: ['./jxl_wasm.js', './jxl_wasm_bg.wasm'],
+  minify: false,
+  sourcemap: true,
+});
+
+// Build auto-lite.js (loads jxl_wasm.js / jxl_wasm_bg.wasm from the same directory)
+await esbuild.build({
+  entryPoints: [join(srcDir, 'auto-lite.js')],
+  bundle: true,
+  format: 'esm',
+  outfile: join(distDir, 'auto-lite.js'),
+  external: ['./jxl_wasm.js', './jxl_wasm_bg.wasm'],
+  minify: false,
+  sourcemap: true,
+});
+
+// Build the service worker entry (module service worker)
+await esbuild.build({
+  entryPoints: [join(srcDir, 'sw.js')],
+  bundle: true,
+  format: 'esm',
+  outfile: join(distDir, 'sw.js'),
+  external: ['./jxl_wasm.js', './jxl_wasm_bg.wasm'],
+  minify: false,
+  sourcemap: true,
+});
+
+// Build the Node.js entry; shares the ESM module (and its WASM instance) at runtime
+await esbuild.build({
+  entryPoints: [join(srcDir, 'node.js')],
+  bundle: true,
+  platform: 'node',
+  format: 'esm',
+  outfile: join(distDir, 'node.js'),
+  external: ['./jxl_wasm.js', './jxl_wasm_bg.wasm', './jxl-polyfill.js'],
+  minify: false,
+  sourcemap: true,
+});
+
 // Build auto.js - self-contained bundle for CDN with Web Worker support
 const wasmBytes = readFileSync(join(distDir, 'jxl_wasm_bg.wasm'));
 const wasmBase64 = wasmBytes.toString('base64');
 let wasmJs = readFileSync(join(distDir, 'jxl_wasm.js'), 'utf-8');
 
+// Inline an ES module into the auto.js IIFE (no imports; exports become locals)
+function inlineModule(file) {
+  return readFileSync(join(srcDir, file), 'utf-8').replace(/^export (default )?/gm, '');
+}
+
 // Patch the generated JS to be embeddable
 wasmJs = wasmJs.replace(/export class/, 'class');
 wasmJs = wasmJs.replace(/export function/g, 'function');
@@ -74,6 +124,7 @@ const workerCode = `
     return {
       init: __wbg_init,
       decode_jxl_to_png,
+      decode_jxl_scaled,
       get_jxl_info
     };
   })();
@@ -94,6 +145,25 @@ const workerCode = `
     return initPromise;
   }
   
+  // Decode to an sRGB ImageBitmap (pixels carry no color profile), painted on an
+  // OffscreenCanvas where the worker has one
+  async function decodeToBitmap(jxlBytes) {
+    const result = JxlWasm.decode_jxl_scaled(jxlBytes, undefined, undefined, undefined, 'srgb');
+    const { width, height } = result;
+    const pixels = result.take_pixels();
+    result.free();
+
+    const imageData = new ImageData(
+      new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength),
+      width,
+      height
+    );
+    if (typeof OffscreenCanvas === 'undefined') return createImageBitmap(imageData);
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return canvas.transferToImageBitmap();
+  }
+  
   self.onmessage = async function(e) {
     const { type, id, data } = e.data;
     
@@ -106,6 +176,15 @@ const workerCode = `
       } catch (error) {
         self.postMessage({ id, error: error.message || String(error) });
       }
+    } else if (type === 'decode-bitmap') {
+      try {
+        await initWasm();
+        const bitmap = await decodeToBitmap(new Uint8Array(data));
+        // Transferred, so the main thread only has to show it
+        self.postMessage({ id, bitmap }, [bitmap]);
+      } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+      }
     }
   };
   
@@ -155,14 +234,14 @@ const autoLoaderSrc = `
           return;
         }
         
-        const { id, pngData, error } = e.data;
+        const { id, pngData, bitmap, error } = e.data;
         const pending = pendingRequests.get(id);
         if (pending) {
           pendingRequests.delete(id);
           if (error) {
             pending.reject(new Error(error));
           } else {
-            pending.resolve(new Uint8Array(pngData));
+            pending.resolve(bitmap || new Uint8Array(pngData));
           }
         }
       };
@@ -181,15 +260,15 @@ const autoLoaderSrc = `
     }
   }
 
-  // Decode using Worker (off main thread)
-  function decodeWithWorker(jxlBytes) {
+  // Decode using Worker (off main thread): 'decode' resolves to PNG bytes, 'decode-bitmap' to an ImageBitmap
+  function decodeWithWorker(jxlBytes, type = 'decode') {
     return new Promise((resolve, reject) => {
       const id = Math.random().toString(36).slice(2) + Date.now().toString(36);
       pendingRequests.set(id, { resolve, reject });
       
       // Transfer the buffer to avoid copying
       const buffer = jxlBytes.buffer.slice(jxlBytes.byteOffset, jxlBytes.byteOffset + jxlBytes.byteLength);
-      worker.postMessage({ type: 'decode', id, data: buffer }, [buffer]);
+      worker.postMessage({ type, id, data: buffer }, [buffer]);
     });
   }
 
@@ -199,6 +278,7 @@ const autoLoaderSrc = `
     return {
       init: __wbg_init,
       decode_jxl_to_png,
+      decode_jxl_scaled,
       get_jxl_info,
       JxlInfo
     };
@@ -218,6 +298,7 @@ const autoLoaderSrc = `
       
       window.__jxl_wasm = {
         decode_jxl_to_png: JxlWasm.decode_jxl_to_png,
+        decode_jxl_scaled: JxlWasm.decode_jxl_scaled,
         get_jxl_info: JxlWasm.get_jxl_info
       };
     })();
@@ -244,7 +325,8 @@ const autoLoaderSrc = `
           console.log('[JXL Polyfill] Using Web Worker for decoding (non-blocking)');
           // Set global flag for polyfill-core to use
           window.JXL_WORKER = {
-            decode: decodeWithWorker
+            decode: decodeWithWorker,
+            decodeBitmap: (jxlBytes) => decodeWithWorker(jxlBytes, 'decode-bitmap')
           };
           return;
         }
@@ -258,6 +340,10 @@ const autoLoaderSrc = `
     return initPromise;
   }
 
+${inlineModule('detect.js')}
+
+${inlineModule('decode-cache.js')}
+
 ${readFileSync(join(srcDir, 'polyfill-core.js'), 'utf-8')}
 
   // Auto-start
@@ -276,9 +362,15 @@ writeFileSync(join(distDir, 'auto.js'), autoLoaderSrc);
 // Copy TypeScript definitions
 copyFileSync(join(srcDir, 'jxl-polyfill.d.ts'), join(distDir, 'jxl-polyfill.d.ts'));
 copyFileSync(join(srcDir, 'auto.d.ts'), join(distDir, 'auto.d.ts'));
+copyFileSync(join(srcDir, 'sw.d.ts'), join(distDir, 'sw.d.ts'));
+copyFileSync(join(srcDir, 'node.d.ts'), join(distDir, 'node.d.ts'));
 
 console.log('=== Bundle complete ===');
 console.log('Files generated:');
 console.log('  - dist/jxl-polyfill.js (ESM module)');
 console.log('  - dist/jxl-polyfill.cjs (CommonJS module)');
+console.log('  - dist/worker.js (decode worker for the ESM build)');
+console.log('  - dist/auto-lite.js (lightweight auto-start module, external WASM)');
+console.log('  - dist/sw.js (service worker transcoding module)');
+console.log('  - dist/node.js (Node.js entry, WASM loaded from disk)');
 console.log('  - dist/auto.js (self-contained CDN bundle with Web Worker)');
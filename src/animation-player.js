@@ -0,0 +1,424 @@
+/**
+ * Canvas player for animated JXL
+ *
+ * Decodes frames one at a time from the compressed file (the next frame is
+ * decoded while the current one is on screen), so memory stays at two frames
+ * regardless of animation length; short animations keep their frames after the
+ * first loop instead of decoding them again. Frames come from a frame source:
+ * the polyfill's runs the decoder in its worker pool, and a bare JXL file is
+ * decoded on this thread. Honors the JXL loop count and exact frame durations,
+ * respects prefers-reduced-motion and pauses while offscreen. A decode error
+ * stops playback on the last frame shown.
+ *
+ * The WASM module must be initialized before constructing a player from JXL bytes.
+ */
+
+import { JxlAnimationDecoder } from './jxl_wasm.js';
+import { JxlDecodeError } from './errors.js';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * @typedef {Object} JxlAnimationFrame
+ * @property {ImageData} imageData - The full composited canvas for this frame (a plain
+ *   {width, height, data} object where ImageData is unavailable)
+ * @property {number} duration - Display duration in ms
+ * @property {'replace'} blend - Always 'replace': the decoder coalesces frames, applying each
+ *   frame's blend mode and disposal itself, and jxl-rs doesn't expose those per-frame modes
+ */
+
+/**
+ * @typedef {Object} JxlFrameSource
+ * Where a player gets its frames, one at a time and in order
+ * @property {number} width
+ * @property {number} height
+ * @property {number} loopCount - 0 = forever
+ * @property {number[]} frameDurations - Per-frame durations in ms, from the frame headers
+ * @property {() => Promise<(JxlAnimationFrame & {index: number}) | null>} next - Decode the next
+ *   frame; null once the data runs out
+ * @property {() => Promise<void>} reset - Rewind to the first frame
+ * @property {() => void} close - Release the decoder
+ */
+
+/**
+ * Turn a decoded WASM frame into a JxlAnimationFrame, freeing the WASM side
+ * @param {import('./jxl_wasm.js').JxlFrame} frame
+ * @param {number} width
+ * @param {number} height
+ * @returns {JxlAnimationFrame}
+ */
+export function toAnimationFrame(frame, width, height) {
+  const duration = frame.duration_ms;
+  const pixels = frame.take_pixels();
+  frame.free();
+  const data = new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+  const imageData = typeof ImageData === 'undefined' ? { width, height, data } : new ImageData(data, width, height);
+  return { imageData, duration, blend: 'replace' };
+}
+
+/**
+ * Frame source decoding on this thread
+ * @param {Uint8Array} jxlData - The complete JXL file
+ * @returns {JxlFrameSource}
+ * @throws {JxlDecodeError}
+ */
+export function localFrameSource(jxlData) {
+  const call = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      throw JxlDecodeError.from(err);
+    }
+  };
+  const decoder = call(() => new JxlAnimationDecoder(jxlData));
+  const { width, height } = decoder;
+  return {
+    width,
+    height,
+    loopCount: decoder.loop_count,
+    frameDurations: Array.from(decoder.frame_durations()),
+    next: async () => {
+      const frame = call(() => decoder.next_frame());
+      return frame ? { index: frame.index, ...toAnimationFrame(frame, width, height) } : null;
+    },
+    reset: async () => call(() => decoder.reset()),
+    close: () => decoder.free(),
+  };
+}
+
+/**
+ * One step of an animation session kept in a decode worker (or, without workers, on the main
+ * thread); the worker's counterpart of localFrameSource
+ * @param {Map<any, JxlAnimationDecoder>} sessions - Open decoders by session
+ * @param {'animation-open'|'animation-frame'|'animation-reset'|'animation-close'} type
+ * @param {any} session - Session key
+ * @param {Uint8Array} data - The complete JXL file, for 'animation-open'
+ * @returns {Object} - `{width, height, loopCount, frameDurations}` when opened,
+ *   `{done, index, duration, pixels}` for a frame, `{}` otherwise
+ */
+export function runAnimationTask(sessions, type, session, data) {
+  if (type === 'animation-open') {
+    const decoder = new JxlAnimationDecoder(data);
+    sessions.set(session, decoder);
+    return {
+      width: decoder.width,
+      height: decoder.height,
+      loopCount: decoder.loop_count,
+      frameDurations: Array.from(decoder.frame_durations()),
+    };
+  }
+
+  const decoder = sessions.get(session);
+  if (!decoder) throw new Error('INTERNAL: Animation session is not open');
+
+  if (type === 'animation-frame') {
+    const frame = decoder.next_frame();
+    if (!frame) return { done: true };
+    const { index, duration_ms: duration } = frame;
+    const pixels = frame.take_pixels();
+    frame.free();
+    return { done: false, index, duration, pixels: new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength) };
+  }
+  if (type === 'animation-reset') {
+    decoder.reset();
+    return {};
+  }
+  if (type === 'animation-close') {
+    sessions.delete(session);
+    decoder.free();
+    return {};
+  }
+  throw new Error(`Unknown message type: ${type}`);
+}
+
+export class JxlAnimationPlayer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Resized to the animation's dimensions
+   * @param {Uint8Array | JxlFrameSource} source - The complete JXL file (decoded on this thread),
+   *   or a frame source; the player closes it on destroy()
+   * @param {Object} [options]
+   * @param {boolean} [options.autoplay=true] - Start playing immediately
+   * @param {boolean} [options.respectReducedMotion=true] - Show the first frame only (until play()
+   *   is called) when the user prefers reduced motion
+   * @param {boolean} [options.pauseWhenOffscreen=true] - Stop decoding while the canvas is not visible
+   * @param {number} [options.maxCachedBytes=33554432] - Keep every decoded frame when they fit in
+   *   this many bytes (32 MB), so later loops and seeks replay them without decoding
+   */
+  constructor(canvas, source, options = {}) {
+    this.options = {
+      autoplay: true,
+      respectReducedMotion: true,
+      pauseWhenOffscreen: true,
+      maxCachedBytes: 32 * 1024 * 1024,
+      ...options,
+    };
+
+    this.canvas = canvas;
+    this.source = ArrayBuffer.isView(source) ? localFrameSource(source) : source;
+    this.width = this.source.width;
+    this.height = this.source.height;
+    /** Number of times the animation plays, 0 = forever */
+    this.loopCount = this.source.loopCount;
+    /** Per-frame durations in ms */
+    this.frameDurations = Array.from(this.source.frameDurations);
+    this.duration = this.frameDurations.reduce((total, ms) => total + ms, 0);
+    /** The error that stopped playback, if any */
+    this.error = null;
+
+    canvas.width = this.width;
+    canvas.height = this.height;
+    this.context = canvas.getContext('2d');
+
+    this.currentFrame = -1;
+    // The frame after the current one, decoding while the current one is shown
+    this.prefetch = null;
+    // Decoded frames by index, when they all fit in maxCachedBytes; used once complete
+    this.frames = this.width * this.height * 4 * this.frameCount <= this.options.maxCachedBytes ? [] : null;
+    this.cachedFrames = 0;
+    this.loopsPlayed = 0;
+    // Wants to play (play() called, not paused); the timer only runs while also visible
+    this.playing = false;
+    this.visible = true;
+    this.timer = null;
+    this.observer = null;
+    this.motionQuery = null;
+    this.onMotionChange = null;
+    this.destroyed = false;
+    this.sourceClosed = false;
+    // Source calls run one at a time; seek() and destroy() drop the steps queued before them
+    this.lock = Promise.resolve();
+    this.generation = 0;
+
+    this.seek(0);
+    this.watchEnvironment();
+
+    if (this.options.autoplay && !this.prefersReducedMotion()) {
+      this.play();
+    }
+  }
+
+  get frameCount() {
+    return this.frameDurations.length;
+  }
+
+  get paused() {
+    return !this.playing;
+  }
+
+  play() {
+    if (this.playing || this.destroyed) return;
+    this.playing = true;
+    // Finished: start over
+    if (this.isLastLoopDone()) {
+      this.loopsPlayed = 0;
+      this.seek(0);
+      return;
+    }
+    this.schedule();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Show a frame; playback (if playing) continues from there
+   * @param {number} index
+   * @returns {Promise<void>} - Settles once the frame is shown, or the seek was superseded
+   */
+  seek(index) {
+    if (this.destroyed) return Promise.resolve();
+    const generation = ++this.generation;
+    const target = Math.max(0, Math.min(this.frameCount - 1, Math.floor(index)));
+    // Give the new frame its full duration
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    return this.exclusive(generation, async () => {
+      let frame = this.cachedFrame(target);
+      if (!frame) {
+        // The decoder only moves forward: rewind unless the target is ahead of the current frame
+        if (target > this.currentFrame && this.prefetch) {
+          frame = await this.prefetch;
+        } else {
+          await this.source.reset();
+          frame = await this.decodeNext();
+        }
+        while (frame && frame.index < target) {
+          if (generation !== this.generation) return;
+          frame = await this.decodeNext();
+        }
+      }
+      if (generation === this.generation) this.show(frame);
+    });
+  }
+
+  /**
+   * Stop playback and release the decoder; the canvas keeps the last frame shown
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.pause();
+    this.destroyed = true;
+    this.generation++;
+    this.observer?.disconnect();
+    this.motionQuery?.removeEventListener('change', this.onMotionChange);
+    this.prefetch = null;
+    this.frames = null;
+    this.closeSource();
+  }
+
+  prefersReducedMotion() {
+    return this.options.respectReducedMotion && !!this.motionQuery?.matches;
+  }
+
+  watchEnvironment() {
+    if (this.options.respectReducedMotion && typeof matchMedia === 'function') {
+      this.motionQuery = matchMedia(REDUCED_MOTION_QUERY);
+      this.onMotionChange = () => {
+        if (this.motionQuery.matches) {
+          this.pause();
+        } else if (this.options.autoplay) {
+          this.play();
+        }
+      };
+      this.motionQuery.addEventListener('change', this.onMotionChange);
+    }
+
+    if (this.options.pauseWhenOffscreen && typeof IntersectionObserver !== 'undefined') {
+      this.observer = new IntersectionObserver((entries) => {
+        this.visible = entries[entries.length - 1].isIntersecting;
+        if (!this.visible) {
+          clearTimeout(this.timer);
+          this.timer = null;
+        } else if (this.playing && !this.timer) {
+          this.schedule();
+        }
+      });
+      this.observer.observe(this.canvas);
+    }
+  }
+
+  schedule() {
+    // Nothing on screen yet: the first frame's seek schedules once it is shown
+    if (!this.playing || !this.visible || this.timer || this.currentFrame < 0) return;
+    const duration = this.frameDurations[this.currentFrame] ?? 0;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.advance();
+    }, duration);
+  }
+
+  advance() {
+    const generation = this.generation;
+    return this.exclusive(generation, async () => {
+      let frame;
+      if (this.currentFrame === this.frameCount - 1) {
+        this.loopsPlayed++;
+        if (this.isLastLoopDone() || this.frameCount === 1) {
+          // Stay on the last frame, like a finished APNG
+          this.playing = false;
+          return;
+        }
+        frame = this.cachedFrame(0);
+        if (!frame) {
+          await this.source.reset();
+          frame = await this.decodeNext();
+        }
+      } else {
+        frame = this.cachedFrame(this.currentFrame + 1) || (await this.prefetch);
+      }
+      if (generation === this.generation) this.show(frame);
+    });
+  }
+
+  isLastLoopDone() {
+    return this.loopCount > 0 && this.loopsPlayed >= this.loopCount;
+  }
+
+  /**
+   * Run a step that uses the frame source after the ones before it; skipped if a seek or
+   * destroy() came in meanwhile. Errors stop playback.
+   * @param {number} generation - this.generation when the step was requested
+   * @param {() => Promise<void>} step
+   * @returns {Promise<void>}
+   */
+  exclusive(generation, step) {
+    this.lock = this.lock.then(async () => {
+      if (generation !== this.generation) return;
+      try {
+        await step();
+      } catch (err) {
+        if (generation === this.generation) this.fail(err);
+      }
+    });
+    return this.lock;
+  }
+
+  /**
+   * Decode the next frame from the source, keeping it if every frame fits in the cache
+   * @returns {Promise<(JxlAnimationFrame & {index: number}) | null>}
+   */
+  async decodeNext() {
+    if (this.sourceClosed) return null;
+    const frame = await this.source.next();
+    if (frame && this.frames && !this.frames[frame.index]) {
+      this.frames[frame.index] = frame;
+      // All there: replay from memory from now on
+      if (++this.cachedFrames === this.frameCount) this.closeSource();
+    }
+    return frame;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {(JxlAnimationFrame & {index: number}) | undefined} - The frame, once every frame is cached
+   */
+  cachedFrame(index) {
+    return this.frames && this.cachedFrames === this.frameCount ? this.frames[index] : undefined;
+  }
+
+  /**
+   * Paint a frame, then decode the one after it while this one is shown
+   * @param {(JxlAnimationFrame & {index: number}) | null} frame - null at the end of the data
+   */
+  show(frame) {
+    if (!frame) {
+      // Fewer frames decoded than the headers announced: stay on the last one shown
+      this.prefetch = null;
+      this.pause();
+      return;
+    }
+
+    this.context.putImageData(frame.imageData, 0, 0);
+    this.currentFrame = frame.index;
+
+    this.prefetch = null;
+    if (frame.index < this.frameCount - 1 && !this.cachedFrame(frame.index + 1)) {
+      this.prefetch = this.decodeNext();
+      // Handled by the step that awaits it
+      this.prefetch.catch(() => {});
+    }
+    this.schedule();
+  }
+
+  /**
+   * Stop on a decode error, leaving the last frame shown
+   * @param {Error} err
+   */
+  fail(err) {
+    this.pause();
+    this.prefetch = null;
+    if (err?.name === 'AbortError') return;
+    this.error = err;
+    console.error('[JXL Polyfill] Animation playback stopped:', err);
+  }
+
+  closeSource() {
+    if (this.sourceClosed) return;
+    this.sourceClosed = true;
+    this.source.close();
+  }
+}
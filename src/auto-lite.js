@@ -10,8 +10,11 @@
  */
 
 import init, { decode_jxl_to_png } from './jxl_wasm.js';
+import { isJxlSignature, looksLikeJxlUrl } from './detect.js';
 
 const cache = new Map();
+// Candidate URLs whose content turned out not to be JXL
+const notJxl = new Set();
 let wasmReady = false;
 
 async function initWasm() {
@@ -21,17 +24,20 @@ async function initWasm() {
   console.log('[JXL Polyfill] WASM loaded');
 }
 
-function isJxlUrl(url) {
-  if (!url) return false;
-  const lower = url.toLowerCase();
-  return lower.endsWith('.jxl') || lower.includes('.jxl?');
-}
+const isJxlUrl = looksLikeJxlUrl;
 
+// Resolves to an object URL of the decoded image, or to `url` itself if it isn't JXL after all
 async function fetchAndDecode(url) {
   if (cache.has(url)) return cache.get(url);
+  if (notJxl.has(url)) return url;
 
   const response = await fetch(url);
   const jxlData = new Uint8Array(await response.arrayBuffer());
+  if (!isJxlSignature(jxlData)) {
+    notJxl.add(url);
+    return url;
+  }
+
   const pngData = decode_jxl_to_png(jxlData);
 
   const blob = new Blob([pngData], { type: 'image/png' });
@@ -47,7 +53,8 @@ async function processImg(img) {
   img.dataset.jxlProcessed = 'true';
 
   try {
-    img.src = await fetchAndDecode(src);
+    const pngUrl = await fetchAndDecode(src);
+    if (pngUrl !== src) img.src = pngUrl;
   } catch (e) {
     console.error('[JXL] Failed:', src, e);
   }
@@ -59,7 +66,8 @@ function processAll() {
     if (!isJxlUrl(s.srcset) || s.dataset.jxlProcessed) return;
     s.dataset.jxlProcessed = 'true';
     try {
-      s.srcset = await fetchAndDecode(s.srcset);
+      const pngUrl = await fetchAndDecode(s.srcset);
+      if (pngUrl !== s.srcset) s.srcset = pngUrl;
     } catch (e) {
       console.error('[JXL] Failed:', s.srcset, e);
     }
@@ -28,7 +28,16 @@ declare global {
         imagesConverted: number;
         cacheHits: number;
         cacheSize: number;
+        /** Total size of cached decoded blobs */
+        cacheBytes: number;
+        /** Size of evicted blobs kept alive because elements still reference them */
+        retainedBytes: number;
       };
+
+      /**
+       * Drop all cached images and revoke their object URLs
+       */
+      clearCache(): void;
     };
   }
 }
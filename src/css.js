@@ -0,0 +1,102 @@
+/**
+ * Finding and rewriting image URLs in CSS values
+ *
+ * Covers `url()` tokens, including several per value (multiple backgrounds),
+ * and the plain strings `image-set()` also accepts.
+ */
+
+/**
+ * Properties that can reference images. Shorthands (background, mask, border-image,
+ * list-style) are covered by these longhands in CSSOM declarations.
+ */
+export const CSS_IMAGE_PROPERTIES = [
+  'background-image',
+  'border-image-source',
+  'mask-image',
+  '-webkit-mask-image',
+  'list-style-image',
+  'content',
+];
+
+/**
+ * @typedef {Object} CssUrlToken
+ * @property {string} url - The URL as written (unresolved)
+ * @property {number} start - Offset of the token in the value
+ * @property {number} end - Offset just past the token
+ */
+
+const URL_TOKEN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)/gi;
+
+/**
+ * Find the image URLs in a CSS value
+ * @param {string} value
+ * @returns {CssUrlToken[]} - In order of appearance
+ */
+export function findCssUrls(value) {
+  const tokens = [];
+  if (!value) return tokens;
+
+  for (const match of value.matchAll(URL_TOKEN)) {
+    tokens.push({
+      url: match[1] ?? match[2] ?? match[3],
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  // image-set() and -webkit-image-set() also take plain strings: image-set("a.jxl" 1x, "a.png" 2x)
+  for (const set of value.matchAll(/image-set\(/gi)) {
+    const open = set.index + set[0].length;
+    const close = closingParen(value, open);
+    for (const string of value.slice(open, close).matchAll(/(["'])(.*?)\1/g)) {
+      const start = open + string.index;
+      if (tokens.some((token) => start >= token.start && start < token.end)) continue;
+      tokens.push({ url: string[2], start, end: start + string[0].length });
+    }
+  }
+
+  return tokens.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace image URLs in a CSS value
+ * @param {string} value
+ * @param {Map<string, string>} replacements - URL as written -> new URL
+ * @returns {string}
+ */
+export function rewriteCssUrls(value, replacements) {
+  let result = '';
+  let pos = 0;
+  for (const token of findCssUrls(value)) {
+    const replacement = replacements.get(token.url);
+    if (replacement === undefined) continue;
+    result += `${value.slice(pos, token.start)}url("${replacement.replace(/["\\]/g, '\\$&')}")`;
+    pos = token.end;
+  }
+  return result + value.slice(pos);
+}
+
+/**
+ * Offset of the parenthesis closing the one just before `open`, skipping quoted strings
+ * @param {string} value
+ * @param {number} open
+ * @returns {number} - value.length if unbalanced
+ */
+function closingParen(value, open) {
+  let depth = 1;
+  let quote = null;
+  for (let i = open; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return value.length;
+}
@@ -0,0 +1,264 @@
+/**
+ * Bounded LRU cache of decoded images, keyed by source URL
+ *
+ * Holds object URLs for decoded blobs and revokes them on eviction, unless an
+ * element or CSS declaration they were put on (see hold()) still shows one;
+ * those are retained and revoked on a later sweep once nothing uses them. URLs
+ * handed out but not yet put on anything can be pinned against revocation.
+ * Holders are tracked explicitly, wherever they are: in the document, a shadow
+ * root, an iframe, or a detached Image().
+ *
+ * Shared by the ESM build (imported) and auto.js (inlined by scripts/bundle.js,
+ * so keep this file free of imports).
+ */
+
+/**
+ * Whether an element (by its attributes) or a CSS declaration still references an object URL
+ * @param {Element | CSSStyleDeclaration} holder
+ * @param {string} objectUrl
+ * @returns {boolean}
+ */
+function referencesUrl(holder, objectUrl) {
+  if (typeof holder.getAttribute !== 'function') {
+    return (holder.cssText || '').includes(objectUrl);
+  }
+  return ['src', 'srcset', 'href', 'xlink:href', 'style'].some((name) =>
+    (holder.getAttribute(name) || '').includes(objectUrl)
+  );
+}
+
+export class DecodeCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=200] - Maximum number of cached images
+   * @param {number} [options.maxBytes=104857600] - Maximum total blob size (default 100 MB)
+   * @param {(objectUrl: string) => boolean} [options.isInUse] - Whether an evicted URL may not be
+   *   revoked yet (default: whether one of its holders still references it)
+   */
+  constructor({ maxEntries = 200, maxBytes = 100 * 1024 * 1024, isInUse } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.isInUse = isInUse || ((objectUrl) => this.isHeld(objectUrl));
+
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map();
+    // Evicted object URLs still referenced by elements -> their size
+    this.retained = new Map();
+    this.bytes = 0;
+    this.retainedBytes = 0;
+    // Object URLs made by adopt(), not yet put on anything -> their size
+    this.unheld = new Map();
+    // Object URL -> WeakRefs of the elements and CSS declarations it was put on
+    this.holders = new Map();
+    // Object URL -> number of pin() calls not yet undone by unpin()
+    this.pins = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string | undefined} - Object URL, marked as most recently used
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.objectUrl;
+  }
+
+  /**
+   * Details stored with an entry, without marking it as used
+   * @param {string} key
+   * @returns {Object | null}
+   */
+  info(key) {
+    return this.entries.get(key)?.info ?? null;
+  }
+
+  /**
+   * Store a decoded blob, evicting least recently used entries over the limits
+   * @param {string} key
+   * @param {Blob} blob
+   * @param {Object} [info] - Details about the image, returned by info()
+   * @returns {string} - Object URL for the blob
+   */
+  set(key, blob, info = null) {
+    this.delete(key);
+
+    const objectUrl = URL.createObjectURL(blob);
+    this.entries.set(key, { objectUrl, bytes: blob.size, info });
+    this.bytes += blob.size;
+
+    this.evict();
+    return objectUrl;
+  }
+
+  /**
+   * Take on a decoded blob without caching it: its object URL is revoked once whatever
+   * it is put on (see hold()) moves on, or by discard() if it is never used
+   * @param {Blob} blob
+   * @returns {string} - Object URL for the blob
+   */
+  adopt(blob) {
+    const objectUrl = URL.createObjectURL(blob);
+    this.unheld.set(objectUrl, blob.size);
+    return objectUrl;
+  }
+
+  /**
+   * Record that an object URL of this cache was put on an element or CSS declaration,
+   * keeping it from being revoked while the holder references it. Other URLs are ignored.
+   * @param {string} objectUrl
+   * @param {Element | CSSStyleDeclaration} holder
+   */
+  hold(objectUrl, holder) {
+    if (this.unheld.has(objectUrl)) {
+      this.retained.set(objectUrl, this.unheld.get(objectUrl));
+      this.retainedBytes += this.unheld.get(objectUrl);
+      this.unheld.delete(objectUrl);
+    } else if (!this.retained.has(objectUrl) && !this.isCached(objectUrl)) {
+      return;
+    }
+
+    let refs = this.holders.get(objectUrl);
+    if (!refs) {
+      refs = new Set();
+      this.holders.set(objectUrl, refs);
+    }
+    if (![...refs].some((ref) => ref.deref() === holder)) refs.add(new WeakRef(holder));
+
+    this.sweep();
+  }
+
+  /**
+   * Keep an object URL from being revoked until unpin(), even if it is evicted meanwhile:
+   * for a URL handed out but not yet put on anything (see hold())
+   * @param {string} objectUrl
+   */
+  pin(objectUrl) {
+    this.pins.set(objectUrl, (this.pins.get(objectUrl) || 0) + 1);
+  }
+
+  /**
+   * Undo a pin(); an evicted URL that nothing holds is then revoked
+   * @param {string} objectUrl
+   */
+  unpin(objectUrl) {
+    const count = this.pins.get(objectUrl);
+    if (!count) return;
+    if (count > 1) {
+      this.pins.set(objectUrl, count - 1);
+      return;
+    }
+    this.pins.delete(objectUrl);
+    this.sweep();
+  }
+
+  /**
+   * Revoke an adopted object URL that was never put on anything
+   * @param {string} objectUrl
+   */
+  discard(objectUrl) {
+    if (!this.unheld.delete(objectUrl)) return;
+    URL.revokeObjectURL(objectUrl);
+  }
+
+  /**
+   * Whether a holder that is still alive still references an object URL; forgets the rest
+   * @param {string} objectUrl
+   * @returns {boolean}
+   */
+  isHeld(objectUrl) {
+    const refs = this.holders.get(objectUrl);
+    if (!refs) return false;
+    for (const ref of refs) {
+      const holder = ref.deref();
+      if (holder && referencesUrl(holder, objectUrl)) return true;
+      refs.delete(ref);
+    }
+    this.holders.delete(objectUrl);
+    return false;
+  }
+
+  isCached(objectUrl) {
+    for (const entry of this.entries.values()) {
+      if (entry.objectUrl === objectUrl) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove an entry, revoking its object URL when nothing uses it
+   * @param {string} key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    this.release(entry.objectUrl, entry.bytes);
+  }
+
+  evict() {
+    this.sweep();
+
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      // Never evict the entry that was just added
+      if (this.entries.size === 1) break;
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Revoke retained object URLs that are no longer referenced
+   */
+  sweep() {
+    for (const [objectUrl, bytes] of this.retained) {
+      if (this.pins.has(objectUrl) || this.isInUse(objectUrl)) continue;
+      URL.revokeObjectURL(objectUrl);
+      this.holders.delete(objectUrl);
+      this.retained.delete(objectUrl);
+      this.retainedBytes -= bytes;
+    }
+  }
+
+  release(objectUrl, bytes) {
+    if (this.pins.has(objectUrl) || this.isInUse(objectUrl)) {
+      this.retained.set(objectUrl, bytes);
+      this.retainedBytes += bytes;
+    } else {
+      URL.revokeObjectURL(objectUrl);
+      this.holders.delete(objectUrl);
+    }
+  }
+
+  /**
+   * Revoke every object URL, cached, retained or adopted
+   */
+  clear() {
+    for (const { objectUrl } of this.entries.values()) {
+      URL.revokeObjectURL(objectUrl);
+    }
+    for (const objectUrl of [...this.retained.keys(), ...this.unheld.keys()]) {
+      URL.revokeObjectURL(objectUrl);
+    }
+    this.entries.clear();
+    this.retained.clear();
+    this.unheld.clear();
+    this.holders.clear();
+    this.pins.clear();
+    this.bytes = 0;
+    this.retainedBytes = 0;
+  }
+}
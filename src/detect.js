@@ -0,0 +1,72 @@
+/**
+ * JXL detection shared by the ESM build, auto-lite.js, the service worker and
+ * auto.js (inlined by scripts/bundle.js, so keep this file free of imports).
+ *
+ * URLs only nominate candidates; whether something really is JXL is decided
+ * by the Content-Type header and, definitively, by the file signature.
+ */
+
+// ISOBMFF container: box size 12, type 'JXL ', then 0D 0A 87 0A
+const JXL_CONTAINER_SIGNATURE = [0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a];
+
+/**
+ * Whether bytes start with a JXL codestream (FF 0A) or JXL container signature
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isJxlSignature(bytes) {
+  if (!bytes || bytes.length < 2) return false;
+  if (bytes[0] === 0xff && bytes[1] === 0x0a) return true;
+  return (
+    bytes.length >= JXL_CONTAINER_SIGNATURE.length &&
+    JXL_CONTAINER_SIGNATURE.every((byte, i) => bytes[i] === byte)
+  );
+}
+
+/**
+ * @param {string | null} contentType - A Content-Type header value
+ * @returns {boolean}
+ */
+export function isJxlContentType(contentType) {
+  if (!contentType) return false;
+  return contentType.split(';')[0].trim().toLowerCase() === 'image/jxl';
+}
+
+// Image CDN format parameters: ?fmt=jxl, &format=jxl, ?f=jxl, ?output=jxl, ?type=image/jxl
+const JXL_QUERY_PARAM = /[?&](?:f|fm|fmt|format|output|type)=(?:image(?:\/|%2f))?jxl(?:[&#]|$)/;
+
+/**
+ * Default URL matcher: .jxl extension (before any query or fragment), a JXL format query
+ * parameter, or a JXL data URI. Extensionless URLs that are only known to be JXL from their
+ * Content-Type can't be told from the URL: they need a custom matcher (or error recovery).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function looksLikeJxlUrl(url) {
+  if (!url) return false;
+  const lower = url.toLowerCase();
+
+  if (lower.startsWith('data:image/jxl')) return true;
+
+  return (
+    lower.endsWith('.jxl') ||
+    lower.includes('.jxl?') ||
+    lower.includes('.jxl#') ||
+    JXL_QUERY_PARAM.test(lower)
+  );
+}
+
+/**
+ * Build a URL matcher from a user option
+ * @param {RegExp | ((url: string) => boolean)} [matcher] - Custom matcher; defaults to looksLikeJxlUrl
+ * @returns {(url: string) => boolean}
+ */
+export function createUrlMatcher(matcher) {
+  if (typeof matcher === 'function') {
+    return (url) => !!url && !url.startsWith('blob:') && matcher(url);
+  }
+  if (matcher instanceof RegExp) {
+    return (url) => !!url && !url.startsWith('blob:') && matcher.test(url);
+  }
+  return looksLikeJxlUrl;
+}
@@ -0,0 +1,60 @@
+/**
+ * Typed decode errors
+ *
+ * The WASM decoder reports failures as "CODE: message" strings, which
+ * survive being posted from a worker; JxlDecodeError splits the code back off.
+ */
+
+/**
+ * @typedef {'TRUNCATED'|'INVALID_HEADER'|'CORRUPT_DATA'|'LIMIT_EXCEEDED'|'UNSUPPORTED'|
+ *   'INVALID_ARGUMENT'|'TIMEOUT'|'INTERNAL'} JxlErrorCode
+ */
+
+const ERROR_CODES = new Set([
+  // The data ends before the image is complete (cut-off download or upload)
+  'TRUNCATED',
+  // Not a JXL file, or its headers are invalid
+  'INVALID_HEADER',
+  // Valid headers, but the image data failed to decode
+  'CORRUPT_DATA',
+  // Larger than the decode limits (maxPixels, maxFrames, maxTotalBytes), or out of memory
+  'LIMIT_EXCEEDED',
+  // A valid file using something this decoder build can't do
+  'UNSUPPORTED',
+  // Bad option passed by the caller
+  'INVALID_ARGUMENT',
+  // The decode ran longer than decodeTimeout
+  'TIMEOUT',
+  // Anything else: encoder failures, decoder crashes
+  'INTERNAL',
+]);
+
+export class JxlDecodeError extends Error {
+  /**
+   * @param {JxlErrorCode} code
+   * @param {string} message
+   * @param {{cause?: unknown}} [options]
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'JxlDecodeError';
+    /** @type {JxlErrorCode} */
+    this.code = code;
+  }
+
+  /**
+   * Wrap whatever a decoder call threw. JxlDecodeErrors and AbortErrors pass through.
+   * @param {unknown} err - A "CODE: message" string from WASM, an Error, or anything else
+   * @returns {JxlDecodeError | DOMException}
+   */
+  static from(err) {
+    if (err instanceof JxlDecodeError || err?.name === 'AbortError') return err;
+
+    const text = typeof err === 'string' ? err : err?.message || String(err);
+    const match = /^([A-Z_]+): ([\s\S]*)$/.exec(text);
+    if (match && ERROR_CODES.has(match[1])) {
+      return new JxlDecodeError(match[1], match[2], { cause: err });
+    }
+    return new JxlDecodeError('INTERNAL', text, { cause: err });
+  }
+}
@@ -2,78 +2,538 @@
  * JXL Polyfill TypeScript Definitions
  */
 
+/**
+ * Limits checked before pixel memory is allocated; images over a limit fail with a
+ * LIMIT_EXCEEDED JxlDecodeError. Omitted limits use the defaults.
+ */
+export interface DecodeLimits {
+  /** Pixels per frame (default: 128 megapixels) */
+  maxPixels?: number;
+  /** Frames of an animation decoded at once; the canvas player is only subject to maxPixels (default: 1000) */
+  maxFrames?: number;
+  /** Decoded pixel memory across all frames (default: 1 GiB) */
+  maxTotalBytes?: number;
+}
+
+export type JxlErrorCode =
+  | 'TRUNCATED'
+  | 'INVALID_HEADER'
+  | 'CORRUPT_DATA'
+  | 'LIMIT_EXCEEDED'
+  | 'UNSUPPORTED'
+  | 'INVALID_ARGUMENT'
+  | 'TIMEOUT'
+  | 'INTERNAL';
+
+/**
+ * Decoder failure with a stable code, thrown by the decode functions
+ */
+export class JxlDecodeError extends Error {
+  constructor(code: JxlErrorCode, message: string, options?: { cause?: unknown });
+  readonly name: 'JxlDecodeError';
+  readonly code: JxlErrorCode;
+  /** Wrap whatever a decoder call threw; JxlDecodeErrors and AbortErrors pass through */
+  static from(err: unknown): JxlDecodeError | DOMException;
+}
+
 /**
  * Initialize the WASM module
+ * @param moduleOrPath - Custom WASM source
+ * @param limits - Limits for decodes on this thread that don't pass their own; may be passed
+ *   again to change them
  */
-export function initWasm(): Promise<void>;
+export function initWasm(
+  moduleOrPath?: string | URL | Request | BufferSource | WebAssembly.Module,
+  limits?: DecodeLimits
+): Promise<void>;
 
 /**
  * Check if the current browser natively supports JXL
  */
 export function checkNativeJxlSupport(): Promise<boolean>;
 
+export interface PngOutputOptions {
+  /**
+   * 'original' keeps the image's color encoding (wide gamut, HDR) and tags the PNG with sRGB,
+   * cICP or iCCP chunks; 'srgb' and 'display-p3' convert the pixels (default: 'original')
+   */
+  colorTarget?: 'original' | 'srgb' | 'display-p3';
+  /** Bits per sample of the PNG (default: 8) */
+  bitDepth?: 8 | 16;
+}
+
+export interface DecodeLimitOptions {
+  /** Limits for this decode only, instead of those set through initWasm() */
+  limits?: DecodeLimits;
+}
+
 /**
  * Decode a JXL image to PNG
  * @param jxlData - The JXL image bytes
  * @returns The PNG image bytes
  */
-export function decodeJxlToPng(jxlData: Uint8Array): Promise<Uint8Array>;
+export function decodeJxlToPng(
+  jxlData: Uint8Array,
+  options?: PngOutputOptions & DecodeLimitOptions
+): Promise<Uint8Array>;
+
+/**
+ * Raw RGBA pixels, as returned where `ImageData` is unavailable
+ */
+export interface JxlImageData {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+}
+
+export interface PixelOutputOptions {
+  /**
+   * Color space to convert the pixels to; a Display P3 ImageData is tagged as such. Raw pixels
+   * carry no color profile, so 'original' leaves wide-gamut and HDR images untagged in their
+   * own space (default: 'srgb')
+   */
+  colorTarget?: 'srgb' | 'display-p3' | 'original';
+}
+
+/**
+ * Decode the first frame of a JXL image to raw RGBA pixels, without the PNG re-encode
+ * @param jxlData - The JXL image bytes
+ */
+export function decodeJxlToImageData(jxlData: Uint8Array, options?: PixelOutputOptions): Promise<ImageData | JxlImageData>;
+
+export interface DecodeJxlOptions extends DecodeLimitOptions, PixelOutputOptions {
+  /** Maximum output width in pixels */
+  maxWidth?: number;
+  /** Maximum output height in pixels */
+  maxHeight?: number;
+  /** Region of the image to return, in source pixels; clipped to the image */
+  crop?: { x: number; y: number; width: number; height: number };
+}
+
+/**
+ * Decode the first frame of a JXL image to RGBA pixels, cropped and then downscaled
+ * (never enlarged) to fit within maxWidth x maxHeight, keeping the aspect ratio. Only the
+ * output shrinks: the frame is still decoded at full resolution.
+ * @param jxlData - The JXL image bytes
+ */
+export function decodeJxl(jxlData: Uint8Array, options?: DecodeJxlOptions): Promise<ImageData | JxlImageData>;
 
 /**
- * Get information about a JXL image
+ * Decode the first frame of a JXL image to an ImageBitmap
  * @param jxlData - The JXL image bytes
  */
-export function getJxlInfo(jxlData: Uint8Array): Promise<{
+export function decodeJxlToImageBitmap(jxlData: Uint8Array, options?: PixelOutputOptions): Promise<ImageBitmap>;
+
+export interface PatchCreateImageBitmapOptions {
+  /** Decoder to use (default: decodeJxlToImageData, on the calling thread) */
+  decode?: (jxlData: Uint8Array) => Promise<ImageData>;
+}
+
+/**
+ * Make createImageBitmap() accept JXL: Blobs, ArrayBuffers and typed arrays with the JXL
+ * signature are decoded in WASM; everything else passes straight through
+ * @param scope - The window or worker global to patch (default: globalThis)
+ * @returns A function restoring the original createImageBitmap
+ */
+export function patchCreateImageBitmap(
+  scope?: typeof globalThis,
+  options?: PatchCreateImageBitmapOptions
+): () => void;
+
+export interface LoadJxlTextureOptions extends PixelOutputOptions {
+  /** Upload into this texture instead of creating one */
+  texture?: WebGLTexture;
+  /** Flip rows for bottom-up texture coordinates (default: false) */
+  flipY?: boolean;
+  /** Premultiply color by alpha on upload (default: false) */
+  premultiplyAlpha?: boolean;
+  /** Generate mipmaps; WebGL 1 needs power-of-two sizes. Otherwise LINEAR and CLAMP_TO_EDGE (default: false) */
+  mipmaps?: boolean;
+  /** Cancels the fetch */
+  signal?: AbortSignal;
+}
+
+/**
+ * Fetch a JXL image and upload its first frame to a WebGL texture straight from the decoded
+ * RGBA pixels. Leaves the texture bound to TEXTURE_2D.
+ */
+export function loadJxlTexture(
+  gl: WebGLRenderingContext | WebGL2RenderingContext,
+  url: string,
+  options?: LoadJxlTextureOptions
+): Promise<{ texture: WebGLTexture; width: number; height: number }>;
+
+/**
+ * Whether bytes start with a JXL codestream (FF 0A) or JXL container signature
+ */
+export function isJxlSignature(bytes: Uint8Array): boolean;
+
+/**
+ * Whether a Content-Type header value is image/jxl
+ */
+export function isJxlContentType(contentType: string | null): boolean;
+
+export interface JxlImageInfo {
+  /** Decoded width, orientation applied */
   width: number;
+  /** Decoded height, orientation applied */
   height: number;
-  numFrames: number;
+  /** Width the image is meant to be displayed at */
+  intrinsicWidth: number;
+  /** Height the image is meant to be displayed at */
+  intrinsicHeight: number;
+  /** Embedded preview frame size, if any */
+  preview: { width: number; height: number } | null;
+  /** EXIF orientation, 1-8 */
+  orientation: number;
+  bitsPerSample: number;
+  isFloat: boolean;
   hasAlpha: boolean;
-}>;
+  alphaPremultiplied: boolean;
+  /** 'icc' when only an ICC profile describes the colors */
+  colorSpace: 'rgb' | 'gray' | 'xyb' | 'icc';
+  primaries: 'srgb' | 'p3' | 'bt2100' | 'custom' | null;
+  transferFunction: 'srgb' | 'linear' | 'bt709' | 'pq' | 'hlg' | 'dci' | 'gamma' | null;
+  hasIccProfile: boolean;
+  isAnimated: boolean;
+  numFrames: number;
+  /** Per-frame durations in ms */
+  frameDurations: number[];
+  /** Total animation duration in ms */
+  duration: number;
+  /** 0 means loop forever */
+  loopCount: number;
+  /** Losslessly recompressed JPEG (has reconstruction data) */
+  isRecompressedJpeg: boolean;
+}
+
+/**
+ * Get information about a JXL image from its headers, without decoding pixels.
+ * Needs the whole file: frame headers are walked for an exact frame count and durations.
+ * @param jxlData - The JXL image bytes
+ */
+export function getJxlInfo(jxlData: Uint8Array): Promise<JxlImageInfo>;
+
+export interface JxlAnimationFrame {
+  /** The full composited canvas for this frame */
+  imageData: ImageData | JxlImageData;
+  /** Display duration in ms */
+  duration: number;
+  /**
+   * Always 'replace': the decoder coalesces frames, applying each frame's blend mode and
+   * disposal itself, and jxl-rs doesn't expose those per-frame modes
+   */
+  blend: 'replace';
+}
+
+export interface JxlAnimation {
+  width: number;
+  height: number;
+  /** 0 means loop forever */
+  loopCount: number;
+  /** Total duration of one loop in ms */
+  duration: number;
+  frames: JxlAnimationFrame[];
+}
+
+/**
+ * Decode every frame of an animated JXL image (a still image gives one frame)
+ * @param jxlData - The JXL image bytes
+ */
+export function decodeJxlAnimation(jxlData: Uint8Array): Promise<JxlAnimation>;
+
+export interface JxlAnimationPlayerOptions {
+  /** Start playing immediately (default: true) */
+  autoplay?: boolean;
+  /** Show the first frame only, until play() is called, when the user prefers reduced motion (default: true) */
+  respectReducedMotion?: boolean;
+  /** Stop decoding while the canvas is not visible (default: true) */
+  pauseWhenOffscreen?: boolean;
+  /**
+   * Keep every decoded frame when they fit in this many bytes, so later loops and seeks
+   * replay them without decoding (default: 32 MB)
+   */
+  maxCachedBytes?: number;
+}
+
+/** Where a player gets its frames, one at a time and in order */
+export interface JxlFrameSource {
+  width: number;
+  height: number;
+  /** 0 means loop forever */
+  loopCount: number;
+  /** Per-frame durations in ms */
+  frameDurations: number[];
+  /** Decode the next frame; null once the data runs out */
+  next(): Promise<(JxlAnimationFrame & { index: number }) | null>;
+  /** Rewind to the first frame */
+  reset(): Promise<void>;
+  /** Release the decoder */
+  close(): void;
+}
+
+/**
+ * Canvas player for animated JXL that decodes frames as they are shown. Players made by the
+ * polyfill decode on its worker pool; given JXL bytes, the player decodes on the main thread
+ * and the WASM module must be initialized first (see createJxlAnimationPlayer). A decode error
+ * stops playback on the last frame shown, as does data ending before the last announced frame.
+ */
+export class JxlAnimationPlayer {
+  constructor(
+    canvas: HTMLCanvasElement,
+    source: Uint8Array | JxlFrameSource,
+    options?: JxlAnimationPlayerOptions
+  );
+  readonly canvas: HTMLCanvasElement;
+  readonly width: number;
+  readonly height: number;
+  /** 0 means loop forever */
+  readonly loopCount: number;
+  /** Per-frame durations in ms */
+  readonly frameDurations: number[];
+  /** Total duration of one loop in ms */
+  readonly duration: number;
+  readonly frameCount: number;
+  /** Index of the frame on screen */
+  readonly currentFrame: number;
+  readonly paused: boolean;
+  /** The error that stopped playback, if any */
+  readonly error: Error | null;
+  play(): void;
+  pause(): void;
+  /** Show a frame; playback (if playing) continues from there. Settles once it is shown */
+  seek(index: number): Promise<void>;
+  /** Stop playback and release the decoder */
+  destroy(): void;
+}
+
+/**
+ * Play an animated JXL image on a canvas, decoding frames as they are shown
+ */
+export function createJxlAnimationPlayer(
+  canvas: HTMLCanvasElement,
+  jxlData: Uint8Array,
+  options?: JxlAnimationPlayerOptions
+): Promise<JxlAnimationPlayer>;
+
+export interface DecodeJxlStreamOptions extends PngOutputOptions, DecodeLimitOptions {
+  /** Called with a PNG of each intermediate pass (DC/low-res first, then refinements); not called for animations */
+  onPass?: (pngData: Uint8Array, pass: number) => void;
+  /** Minimum time between intermediate passes in ms (default: 200) */
+  passInterval?: number;
+}
+
+/**
+ * Decode a JXL image progressively as its bytes arrive. A decode error cancels the stream.
+ * @param stream - e.g. `response.body` from fetch
+ * @returns The final PNG (or APNG) bytes
+ */
+export function decodeJxlStream(
+  stream: ReadableStream<Uint8Array>,
+  options?: DecodeJxlStreamOptions
+): Promise<Uint8Array>;
 
 /**
  * Decode a JXL image from a URL
  * @param url - URL to the JXL image
+ * @param options - Pass `onPass` to stream the response and receive intermediate passes
  * @returns PNG blob
  */
-export function decodeJxlFromUrl(url: string): Promise<Blob>;
+export function decodeJxlFromUrl(url: string, options?: DecodeJxlStreamOptions): Promise<Blob>;
+
+/** Detail of `jxl:decoded` events, also passed to the afterDecode hook */
+export interface JxlDecodedDetail {
+  /** The element the image belongs to (an `Image()` may not be in the document) */
+  element: Element;
+  /** The JXL URL that was decoded */
+  url: string;
+  /** Object URL of the decoded image; null when shown by the animation player */
+  objectUrl: string | null;
+  /** Time from the start of processing to the result, in ms (fetch included) */
+  duration: number;
+  /** Where the result came from */
+  source: 'memory' | 'persistent' | 'decoder';
+  /** Shown by the canvas animation player */
+  player: boolean;
+  /** Size of the JXL file, when it was read whole */
+  inputBytes: number | null;
+  /** Size of the decoded PNG */
+  outputBytes: number | null;
+  width: number | null;
+  height: number | null;
+}
+
+export interface JxlDecodeStartDetail {
+  element: Element;
+  url: string;
+}
+
+export interface JxlErrorDetail {
+  element: Element;
+  url: string;
+  /** A JxlDecodeError for decoder failures, or an error reading the response */
+  error: Error;
+  duration: number;
+}
+
+/** Events dispatched on the polyfill and, bubbling, on the element */
+export interface JxlPolyfillEventMap {
+  'jxl:decodestart': CustomEvent<JxlDecodeStartDetail>;
+  'jxl:decoded': CustomEvent<JxlDecodedDetail>;
+  'jxl:error': CustomEvent<JxlErrorDetail>;
+}
+
+declare global {
+  interface HTMLElementEventMap extends JxlPolyfillEventMap {}
+  interface SVGElementEventMap extends JxlPolyfillEventMap {}
+}
 
 export interface JXLPolyfillOptions {
-  /** Intercept new Image() constructor (default: true) */
+  /** Which URLs are fetched as JXL candidates; fetched content is always sniffed (default: .jxl extension, a format query parameter such as ?fmt=jxl, or data:image/jxl) */
+  urlMatcher?: RegExp | ((url: string) => boolean);
+  /** Sniff <img> elements that fail to load and swap in the decoded image if they are JXL (default: true) */
+  recoverFailedImages?: boolean;
+  /**
+   * Intercept programmatic image loading on HTMLImageElement.prototype: src/srcset setters,
+   * setAttribute() and decode() of detached images (new Image(), createElement('img')) and
+   * object URLs of JXL blobs. Reverted by stop() (default: true)
+   */
+  interceptImages?: boolean;
+  /** @deprecated Use interceptImages; false disables it */
   patchImageConstructor?: boolean;
-  /** Convert CSS background-image (default: true) */
+  /** Let createImageBitmap() take JXL Blobs and ArrayBuffers, decoded on the worker pool (default: false) */
+  patchCreateImageBitmap?: boolean;
+  /**
+   * Convert JXL images in stylesheets (including @media, @import and adopted sheets) and inline
+   * styles: backgrounds, image-set(), border-image, masks, list-style-image and content (default: true)
+   */
   handleCSSBackgrounds?: boolean;
-  /** Convert <source srcset> (default: true) */
+  /** Convert <source srcset>; <img srcset> is always handled (default: true) */
   handleSourceElements?: boolean;
   /** Convert SVG <image>/<feImage> (default: true) */
   handleSVGElements?: boolean;
   /** Cache decoded images (default: true) */
   cacheDecoded?: boolean;
-  /** Show loading indicator during decode (default: false) */
+  /** Evict least recently used images beyond this count (default: 200) */
+  cacheMaxEntries?: number;
+  /** Evict least recently used images beyond this many bytes of decoded blobs (default: 100 MB) */
+  cacheMaxBytes?: number;
+  /** Keep decoded images in Cache Storage across page loads, keyed by URL + ETag/Last-Modified (or content hash), decoder version and output settings (decodeMode, colorTarget, bitDepth, animationPlayer) (default: false) */
+  persistentCache?: boolean;
+  /** Quota for the persistent cache in bytes; oldest entries are evicted first (default: 50 MB) */
+  persistentCacheMaxBytes?: number;
+  /** 'canvas' paints raw pixels onto a canvas instead of encoding a PNG in WASM (default: 'png') */
+  decodeMode?: 'png' | 'canvas';
+  /**
+   * Color space of decoded PNGs; 'original' keeps wide-gamut/HDR colors (default: 'original').
+   * Canvas bitmaps, decodeMode 'canvas' and createImageBitmap() can't carry the original color,
+   * so they get sRGB unless this is 'display-p3'
+   */
+  colorTarget?: 'original' | 'srgb' | 'display-p3';
+  /** Bits per sample of decoded PNGs (default: 8) */
+  bitDepth?: 8 | 16;
+  /** Play animated <img> sources in a canvas player instead of converting them to APNG (default: true) */
+  animationPlayer?: boolean;
+  /** Paint intermediate passes of <img> sources while bytes arrive, with decodeMode 'png' (default: true) */
+  progressive?: boolean;
+  /**
+   * Downscale the output of still <img> sources that have width/height attributes to their
+   * rendered size times devicePixelRatio, re-decoding larger when they grow (default: false).
+   * The image is still decoded at full size, so only what's kept afterwards shrinks, not decode
+   * time or peak memory; these images get no progressive passes
+   */
+  decodeToRenderedSize?: boolean;
+  /** Fail images with more pixels per frame (default: 128 megapixels) */
+  maxPixels?: number;
+  /** Fail animations with more frames, unless shown by the canvas player (default: 1000) */
+  maxFrames?: number;
+  /** Fail images whose decoded frames need more memory (default: 1 GiB) */
+  maxTotalBytes?: number;
+  /**
+   * Abandon worker decodes running longer than this, in ms (default: 30000). Main-thread decodes
+   * (workers: 0, or workers that can't start) can't be interrupted, which a console warning
+   * reports once. Progressive decodes are timed per chunk
+   */
+  decodeTimeout?: number;
+  /** Retries of a JXL fetch after a network error or a transient HTTP status: 408, 429, 5xx (default: 2) */
+  fetchRetries?: number;
+  /** Delay before the first fetch retry in ms, doubling each time; a longer Retry-After wins, up to 10 s (default: 500) */
+  fetchRetryDelay?: number;
+  /**
+   * Alternative URLs to try when a JXL fails to decode, after data-jxl-fallback and the other
+   * <picture> sources, e.g. `(url) => url.replace(/\.jxl$/, '.webp')`
+   */
+  fallbackUrl?: (url: string, element: Element) => string | string[] | null | undefined;
+  /** Server-side converter tried last when a JXL fails to decode; `{url}` is replaced with the encoded absolute URL */
+  conversionEndpoint?: string;
+  /** Size of the decode worker pool; 0 decodes on the main thread (default: based on navigator.hardwareConcurrency) */
+  workers?: number;
+  /** Location of dist/worker.js, if it is served from somewhere other than next to the module */
+  workerUrl?: string | URL;
+  /** Defer every JXL until it nears the viewport; loading="lazy" images are always deferred (default: false) */
+  lazy?: boolean;
+  /** How far outside the viewport lazy decoding starts, as an IntersectionObserver rootMargin (default: '200px') */
+  rootMargin?: string;
+  /** Handle open shadow roots, including ones attached later through a patched attachShadow (default: true) */
+  shadowDom?: boolean;
+  /** Handle the documents of same-origin iframes, following their navigations (default: false) */
+  iframes?: boolean;
+  /** Only handle elements inside this subtree (default: document) */
+  root?: Element | Document;
+  /** Only handle elements matching this selector; a <source> is matched by its <picture>'s <img> */
+  selector?: string;
+  /** Show a neutral gray placeholder while decoding <img>s that have no data-jxl-placeholder (default: false) */
   showLoadingState?: boolean;
   /** Enable debug logging (default: false) */
   verbose?: boolean;
+  /**
+   * Called before an element's JXL candidate is fetched (the content may still turn out not to
+   * be JXL): return false to leave the element alone, or a URL to fetch instead
+   */
+  beforeDecode?: (context: { element: Element; url: string }) => boolean | string | void | Promise<boolean | string | void>;
+  /** Called with the result before it is put on the element; return false to discard it */
+  afterDecode?: (detail: JxlDecodedDetail) => boolean | void | Promise<boolean | void>;
 }
 
 export interface JXLPolyfillStats {
   imagesConverted: number;
   bytesSaved: number;
   cacheHits: number;
+  /** Images served from the persistent cache instead of being decoded */
+  persistentCacheHits: number;
   cacheSize: number;
+  /** Total size of cached decoded blobs */
+  cacheBytes: number;
+  /** Size of evicted blobs kept alive because elements still reference them */
+  retainedBytes: number;
 }
 
 /**
  * JXL Polyfill class for automatic image conversion
  */
-export class JXLPolyfill {
+export class JXLPolyfill extends EventTarget {
   constructor(options?: JXLPolyfillOptions);
 
+  addEventListener<K extends keyof JxlPolyfillEventMap>(
+    type: K,
+    listener: (event: JxlPolyfillEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+  removeEventListener<K extends keyof JxlPolyfillEventMap>(
+    type: K,
+    listener: (event: JxlPolyfillEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+
   /**
    * Start the polyfill
    */
   start(): Promise<void>;
 
   /**
-   * Stop the polyfill
+   * Stop the polyfill and release all cached images
    */
   stop(): void;
 
@@ -81,6 +541,29 @@ export class JXLPolyfill {
    * Get polyfill statistics
    */
   getStats(): JXLPolyfillStats;
+
+  /**
+   * Drop all cached images and revoke their object URLs
+   */
+  clearCache(): void;
+
+  /**
+   * Delete every decoded image stored across page loads
+   */
+  clearPersistentCache(): Promise<void>;
+
+  /**
+   * The canvas player showing an animated <img>, for play/pause/seek control
+   */
+  getAnimationPlayer(img: HTMLImageElement): JxlAnimationPlayer | null;
+
+  /**
+   * Rewrite JXL images in the document's stylesheets; rules already handled are skipped.
+   * Only rules whose media query matches and whose selector matches an element in scope are
+   * decoded; the rest wait until they do. New <style>/<link> elements are picked up
+   * automatically, CSSOM edits are not.
+   */
+  processStylesheets(): void;
 }
 
 export default JXLPolyfill;
@@ -11,28 +11,142 @@
  *
  * // Or decode manually
  * const pngBytes = await decodeJxlToPng(jxlBytes);
+ *
+ * // Or skip the PNG step and get raw RGBA pixels
+ * const imageData = await decodeJxlToImageData(jxlBytes);
+ */
+
+import init, {
+  decode_jxl_to_png,
+  decode_jxl_to_pixels,
+  decode_jxl_scaled,
+  decode_jxl_scaled_to_png,
+  get_jxl_info,
+  set_decode_limits,
+  is_jxl_animated,
+  decoder_version,
+  JxlAnimationDecoder,
+} from './jxl_wasm.js';
+import { DecoderPool, defaultPoolSize } from './worker-pool.js';
+import { parseSrcset, selectCandidate, serializeSrcset } from './srcset.js';
+import { CSS_IMAGE_PROPERTIES, findCssUrls, rewriteCssUrls } from './css.js';
+import { DecodeCache } from './decode-cache.js';
+import { PersistentCache, contentKey, validatorKey } from './persistent-cache.js';
+import { createUrlMatcher, isJxlContentType, isJxlSignature } from './detect.js';
+import { JxlAnimationPlayer, toAnimationFrame, runAnimationTask } from './animation-player.js';
+import { pumpStream, runStreamTask } from './stream-task.js';
+import { JxlDecodeError } from './errors.js';
+
+export { isJxlContentType, isJxlSignature } from './detect.js';
+export { JxlAnimationPlayer } from './animation-player.js';
+export { JxlDecodeError } from './errors.js';
+
+/** @typedef {import('./animation-player.js').JxlFrameSource} JxlFrameSource */
+
+/**
+ * @typedef {Object} JxlImageInfo
+ * @property {number} width - Decoded size, orientation applied
+ * @property {number} height
+ * @property {number} intrinsicWidth - Size the image is meant to be displayed at
+ * @property {number} intrinsicHeight
+ * @property {{width: number, height: number} | null} preview - Embedded preview frame size
+ * @property {number} orientation - EXIF orientation, 1-8
+ * @property {number} bitsPerSample
+ * @property {boolean} isFloat
+ * @property {boolean} hasAlpha
+ * @property {boolean} alphaPremultiplied
+ * @property {'rgb'|'gray'|'xyb'|'icc'} colorSpace - 'icc' when only an ICC profile describes the colors
+ * @property {string | null} primaries - 'srgb', 'p3', 'bt2100' or 'custom'
+ * @property {string | null} transferFunction - 'srgb', 'linear', 'bt709', 'pq', 'hlg', 'dci' or 'gamma'
+ * @property {boolean} hasIccProfile
+ * @property {boolean} isAnimated
+ * @property {number} numFrames
+ * @property {number[]} frameDurations - Per-frame durations in ms
+ * @property {number} duration - Total animation duration in ms
+ * @property {number} loopCount - 0 means loop forever
+ * @property {boolean} isRecompressedJpeg - Losslessly recompressed JPEG (has reconstruction data)
+ */
+
+/**
+ * @typedef {Object} DecodeLimits
+ * Images over a limit fail with a LIMIT_EXCEEDED JxlDecodeError before pixel memory is allocated.
+ * Omitted limits use the defaults.
+ * @property {number} [maxPixels=134217728] - Pixels per frame (default 128 megapixels)
+ * @property {number} [maxFrames=1000] - Frames of an animation decoded at once (the canvas player
+ *   holds two frames at a time and is only subject to maxPixels)
+ * @property {number} [maxTotalBytes=1073741824] - Decoded pixel memory across all frames (default 1 GiB)
  */
 
-import init, { decode_jxl_to_png, get_jxl_info } from './jxl_wasm.js';
+/**
+ * @typedef {Object} JxlDecodedDetail
+ * Detail of `jxl:decoded` events, also passed to the afterDecode hook
+ * @property {Element} element - The element the image belongs to (an `Image()` may not be in the document)
+ * @property {string} url - The JXL URL that was decoded
+ * @property {string | null} objectUrl - Object URL of the decoded image; null when shown by the animation player
+ * @property {number} duration - Time from the start of processing to the result, in ms (fetch included)
+ * @property {'memory'|'persistent'|'decoder'} source - Where the result came from
+ * @property {boolean} player - Shown by the canvas animation player
+ * @property {number | null} inputBytes - Size of the JXL file, when it was read whole
+ * @property {number | null} outputBytes - Size of the decoded PNG
+ * @property {number | null} width - Decoded dimensions, when known
+ * @property {number | null} height
+ */
 
 let wasmInitialized = false;
 let initPromise = null;
+// Set through initWasm(): the limits of decodes on this thread that don't pass their own
+let threadLimits = {};
 
 /**
  * Initialize the WASM module
  * @param {string | URL | Request | BufferSource | WebAssembly.Module} [moduleOrPath] - Custom WASM source
+ * @param {DecodeLimits} [limits] - Limits for decodes on this thread that don't pass their own;
+ *   may be passed again to change them
  * @returns {Promise<void>}
  */
-export async function initWasm(moduleOrPath) {
-  if (wasmInitialized) return;
-  if (initPromise) return initPromise;
+export async function initWasm(moduleOrPath, limits) {
+  if (!wasmInitialized) {
+    initPromise ??= (async () => {
+      await init(moduleOrPath);
+      wasmInitialized = true;
+    })().catch((err) => {
+      // Not kept, so a later call tries again
+      initPromise = null;
+      throw err;
+    });
+    await initPromise;
+  }
+
+  if (limits) {
+    threadLimits = limits;
+    applyLimits(limits);
+  }
+}
 
-  initPromise = (async () => {
-    await init(moduleOrPath);
-    wasmInitialized = true;
-  })();
+/**
+ * @param {DecodeLimits} limits
+ */
+function applyLimits(limits) {
+  set_decode_limits(limits.maxPixels, limits.maxFrames, limits.maxTotalBytes);
+}
 
-  return initPromise;
+/**
+ * Run a WASM decoder call, rethrowing its failures as JxlDecodeErrors
+ * @template T
+ * @param {() => T} call
+ * @param {DecodeLimits} [limits] - For this call only; the WASM instance's limits are global,
+ *   so they are set around the (synchronous) call and the thread's restored after it
+ * @returns {T}
+ */
+function decoderCall(call, limits) {
+  if (limits) applyLimits(limits);
+  try {
+    return call();
+  } catch (err) {
+    throw JxlDecodeError.from(err);
+  } finally {
+    if (limits) applyLimits(threadLimits);
+  }
 }
 
 /**
@@ -52,78 +166,798 @@ export async function checkNativeJxlSupport() {
 /**
  * Decode a JXL image to PNG
  * @param {Uint8Array} jxlData - The JXL image bytes
+ * @param {Object} [options]
+ * @param {'original'|'srgb'|'display-p3'} [options.colorTarget='original'] - 'original' keeps the
+ *   image's color encoding (wide gamut, HDR) and tags the PNG with sRGB, cICP or iCCP chunks;
+ *   'srgb' and 'display-p3' convert the pixels
+ * @param {8|16} [options.bitDepth=8] - Bits per sample of the PNG
+ * @param {DecodeLimits} [options.limits] - For this decode, instead of those set through initWasm()
  * @returns {Promise<Uint8Array>} - The PNG image bytes
+ * @throws {JxlDecodeError}
  */
-export async function decodeJxlToPng(jxlData) {
+export async function decodeJxlToPng(jxlData, options = {}) {
   await initWasm();
-  return decode_jxl_to_png(jxlData);
+  return decoderCall(() => decode_jxl_to_png(jxlData, options.colorTarget, options.bitDepth), options.limits);
 }
 
 /**
- * Get information about a JXL image
+ * Decode the first frame of a JXL image to raw RGBA pixels, without the PNG re-encode
  * @param {Uint8Array} jxlData - The JXL image bytes
- * @returns {Promise<{width: number, height: number, numFrames: number, hasAlpha: boolean}>}
+ * @param {Object} [options]
+ * @param {'srgb'|'display-p3'|'original'} [options.colorTarget='srgb'] - Color space to convert
+ *   to; a Display P3 ImageData is tagged as such. Raw pixels carry no color profile, so
+ *   'original' leaves wide-gamut and HDR images in a space nothing reading them knows about
+ * @returns {Promise<ImageData>} - RGBA pixels (a plain {width, height, data} object where ImageData is unavailable)
+ * @throws {JxlDecodeError}
  */
-export async function getJxlInfo(jxlData) {
+export async function decodeJxlToImageData(jxlData, { colorTarget = 'srgb' } = {}) {
   await initWasm();
-  const info = get_jxl_info(jxlData);
-  return {
-    width: info.width,
-    height: info.height,
-    numFrames: info.num_frames,
-    hasAlpha: info.has_alpha,
+  return pixelsToImageData(decoderCall(() => decode_jxl_to_pixels(jxlData, colorTarget)), colorTarget);
+}
+
+/**
+ * Decode the first frame of a JXL image to RGBA pixels, optionally cropped and downscaled.
+ * The crop is applied first, then the result is shrunk (never enlarged) to fit within
+ * maxWidth x maxHeight, keeping the aspect ratio. This only makes the output smaller: the
+ * frame is still decoded at full resolution, so decode time and peak memory are unchanged.
+ * @param {Uint8Array} jxlData - The JXL image bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxWidth] - Maximum output width in pixels
+ * @param {number} [options.maxHeight] - Maximum output height in pixels
+ * @param {{x: number, y: number, width: number, height: number}} [options.crop] - Region of the
+ *   image to return, in source pixels; clipped to the image
+ * @param {'srgb'|'display-p3'|'original'} [options.colorTarget='srgb'] - See decodeJxlToImageData
+ * @param {DecodeLimits} [options.limits] - For this decode, instead of those set through initWasm()
+ * @returns {Promise<ImageData>} - RGBA pixels (a plain {width, height, data} object where ImageData is unavailable)
+ * @throws {JxlDecodeError}
+ */
+export async function decodeJxl(jxlData, options = {}) {
+  await initWasm();
+  const { crop, limits, colorTarget = 'srgb' } = options;
+  const rect = crop ? new Uint32Array([crop.x, crop.y, crop.width, crop.height]) : undefined;
+  return pixelsToImageData(
+    decoderCall(() => decode_jxl_scaled(jxlData, options.maxWidth, options.maxHeight, rect, colorTarget), limits),
+    colorTarget
+  );
+}
+
+/**
+ * Move decoded WASM pixels into an ImageData, freeing the WASM side
+ * @param {import('./jxl_wasm.js').JxlPixels} result
+ * @param {string} colorTarget - The pixels' color space
+ * @returns {ImageData}
+ */
+function pixelsToImageData(result, colorTarget) {
+  const { width, height } = result;
+  const pixels = result.take_pixels();
+  result.free();
+
+  const data = new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+  return createImageData(data, width, height, colorTarget);
+}
+
+/**
+ * Wrap RGBA pixels in an ImageData tagged with their color space (untagged is sRGB)
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {string} colorTarget - The pixels' color space
+ * @returns {ImageData} - A plain {width, height, data} object where ImageData is unavailable
+ */
+function createImageData(data, width, height, colorTarget) {
+  if (typeof ImageData === 'undefined') {
+    return { width, height, data };
+  }
+  if (colorTarget === 'display-p3') {
+    return new ImageData(data, width, height, { colorSpace: 'display-p3' });
+  }
+  return new ImageData(data, width, height);
+}
+
+/**
+ * The color target for pixels handed to APIs that read them as sRGB or Display P3
+ * (ImageData, canvases, textures), which have no way to describe the original color space
+ * @param {string} colorTarget - The configured color target
+ * @returns {'srgb'|'display-p3'}
+ */
+function pixelColorTarget(colorTarget) {
+  return colorTarget === 'display-p3' ? 'display-p3' : 'srgb';
+}
+
+/**
+ * Decode the first frame of a JXL image to an ImageBitmap
+ * @param {Uint8Array} jxlData - The JXL image bytes
+ * @param {Object} [options] - colorTarget, as for decodeJxlToImageData
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function decodeJxlToImageBitmap(jxlData, options) {
+  const imageData = await decodeJxlToImageData(jxlData, options);
+  return createImageBitmap(imageData);
+}
+
+/**
+ * Make createImageBitmap() accept JXL: Blobs, ArrayBuffers and typed arrays that start with
+ * the JXL signature are decoded in WASM (the first frame) and the pixels handed to the
+ * original, along with any crop and resize options. Everything else passes straight through.
+ * @param {typeof globalThis} [scope=globalThis] - The window or worker global to patch
+ * @param {Object} [options]
+ * @param {(jxlData: Uint8Array) => Promise<ImageData>} [options.decode] - Decoder to use
+ *   (default: decodeJxlToImageData, on the calling thread)
+ * @returns {() => void} - Restores the original createImageBitmap
+ */
+export function patchCreateImageBitmap(scope = globalThis, { decode = decodeJxlToImageData } = {}) {
+  const original = scope.createImageBitmap;
+  if (!original) return () => {};
+
+  async function createImageBitmap(source, ...args) {
+    const jxlData = await jxlBytesOf(source);
+    return original.call(scope, jxlData ? await decode(jxlData) : source, ...args);
+  }
+  scope.createImageBitmap = createImageBitmap;
+
+  return () => {
+    if (scope.createImageBitmap === createImageBitmap) scope.createImageBitmap = original;
   };
 }
 
+/**
+ * The bytes of a createImageBitmap() source, if it is JXL
+ * @param {unknown} source
+ * @returns {Promise<Uint8Array | null>}
+ */
+async function jxlBytesOf(source) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    const head = new Uint8Array(await source.slice(0, 12).arrayBuffer());
+    return isJxlSignature(head) ? new Uint8Array(await source.arrayBuffer()) : null;
+  }
+  if (source instanceof ArrayBuffer) {
+    source = new Uint8Array(source);
+  } else if (ArrayBuffer.isView(source)) {
+    source = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  } else {
+    return null;
+  }
+  return isJxlSignature(source) ? source : null;
+}
+
+/**
+ * Fetch a JXL image and upload its first frame to a WebGL texture straight from the decoded
+ * RGBA pixels (no PNG or image element in between). Leaves the texture bound to TEXTURE_2D;
+ * the unpack settings used stay set on the context.
+ * @param {WebGLRenderingContext | WebGL2RenderingContext} gl
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {WebGLTexture} [options.texture] - Upload into this texture instead of creating one
+ * @param {boolean} [options.flipY=false] - Flip rows for bottom-up texture coordinates
+ * @param {boolean} [options.premultiplyAlpha=false] - Premultiply color by alpha on upload
+ * @param {boolean} [options.mipmaps=false] - Generate mipmaps (WebGL 1 needs power-of-two
+ *   sizes); otherwise LINEAR filtering and CLAMP_TO_EDGE, which work for any size
+ * @param {'srgb'|'display-p3'|'original'} [options.colorTarget='srgb'] - Color space of the
+ *   uploaded pixels (see decodeJxlToImageData)
+ * @param {AbortSignal} [options.signal] - Cancels the fetch
+ * @returns {Promise<{texture: WebGLTexture, width: number, height: number}>}
+ * @throws {JxlDecodeError}
+ */
+export async function loadJxlTexture(gl, url, options = {}) {
+  const response = await fetchJxlResponse(url, options.signal);
+  const { width, height, data } = await decodeJxlToImageData(new Uint8Array(await response.arrayBuffer()), {
+    colorTarget: options.colorTarget,
+  });
+
+  const texture = options.texture || gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, !!options.flipY);
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, !!options.premultiplyAlpha);
+  gl.texImage2D(
+    gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+    new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  );
+
+  if (options.mipmaps) {
+    gl.generateMipmap(gl.TEXTURE_2D);
+  } else {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+  return { texture, width, height };
+}
+
+/**
+ * Paint RGBA pixels onto a canvas and export it as a Blob
+ * @param {ImageData} imageData
+ * @returns {Promise<Blob>}
+ */
+async function imageDataToBlob(imageData) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return canvas.convertToBlob();
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))));
+  });
+}
+
+/**
+ * Get information about a JXL image from its headers, without decoding pixels.
+ * Needs the whole file: frame headers are walked for an exact frame count and durations.
+ * @param {Uint8Array} jxlData - The JXL image bytes
+ * @returns {Promise<JxlImageInfo>}
+ * @throws {JxlDecodeError}
+ */
+export async function getJxlInfo(jxlData) {
+  await initWasm();
+  const info = decoderCall(() => get_jxl_info(jxlData));
+  try {
+    const frameDurations = Array.from(info.frame_durations);
+    return {
+      width: info.width,
+      height: info.height,
+      intrinsicWidth: info.intrinsic_width,
+      intrinsicHeight: info.intrinsic_height,
+      preview: info.preview_width ? { width: info.preview_width, height: info.preview_height } : null,
+      orientation: info.orientation,
+      bitsPerSample: info.bits_per_sample,
+      isFloat: info.is_float,
+      hasAlpha: info.has_alpha,
+      alphaPremultiplied: info.alpha_premultiplied,
+      colorSpace: info.color_space,
+      primaries: info.primaries || null,
+      transferFunction: info.transfer_function || null,
+      hasIccProfile: info.has_icc_profile,
+      isAnimated: info.is_animated,
+      numFrames: info.num_frames,
+      frameDurations,
+      duration: frameDurations.reduce((total, ms) => total + ms, 0),
+      loopCount: info.loop_count,
+      isRecompressedJpeg: info.is_recompressed_jpeg,
+    };
+  } finally {
+    info.free();
+  }
+}
+
+/**
+ * Decode every frame of an animated JXL image (a still image gives one frame)
+ * @param {Uint8Array} jxlData - The JXL image bytes
+ * @returns {Promise<{width: number, height: number, loopCount: number, duration: number,
+ *   frames: import('./animation-player.js').JxlAnimationFrame[]}>} - `loopCount` 0 means loop forever
+ * @throws {JxlDecodeError}
+ */
+export async function decodeJxlAnimation(jxlData) {
+  await initWasm();
+  const decoder = decoderCall(() => new JxlAnimationDecoder(jxlData));
+  try {
+    // Every frame is held at once, unlike in the player
+    decoderCall(() => decoder.check_frame_limits());
+    const { width, height } = decoder;
+    const frames = [];
+    const nextFrame = () => decoderCall(() => decoder.next_frame());
+    for (let frame = nextFrame(); frame; frame = nextFrame()) {
+      frames.push(toAnimationFrame(frame, width, height));
+    }
+    return {
+      width,
+      height,
+      loopCount: decoder.loop_count,
+      duration: frames.reduce((total, frame) => total + frame.duration, 0),
+      frames,
+    };
+  } finally {
+    decoder.free();
+  }
+}
+
+/**
+ * Play an animated JXL image on a canvas, decoding frames as they are shown
+ * @param {HTMLCanvasElement} canvas
+ * @param {Uint8Array} jxlData - The complete JXL file
+ * @param {Object} [options] - See JxlAnimationPlayer
+ * @returns {Promise<JxlAnimationPlayer>}
+ */
+export async function createJxlAnimationPlayer(canvas, jxlData, options) {
+  await initWasm();
+  return decoderCall(() => new JxlAnimationPlayer(canvas, jxlData, options));
+}
+
+/**
+ * Decode a JXL image progressively as its bytes arrive. A decode error cancels the stream,
+ * so a fetch stops downloading.
+ * @param {ReadableStream<Uint8Array>} stream - e.g. `response.body` from fetch
+ * @param {Object} [options]
+ * @param {(pngData: Uint8Array, pass: number) => void} [options.onPass] - Called with a PNG of each
+ *   intermediate pass (DC/low-res first, then refinements); not called for animations
+ * @param {number} [options.passInterval=200] - Minimum time between intermediate passes (ms)
+ * @param {'original'|'srgb'|'display-p3'} [options.colorTarget='original'] - See decodeJxlToPng
+ * @param {8|16} [options.bitDepth=8] - See decodeJxlToPng
+ * @param {DecodeLimits} [options.limits] - See decodeJxlToPng
+ * @returns {Promise<Uint8Array>} - The final PNG (or APNG) bytes
+ * @throws {JxlDecodeError}
+ */
+export async function decodeJxlStream(stream, options = {}) {
+  const { colorTarget, bitDepth, limits } = options;
+  await initWasm();
+
+  const session = {};
+  // Other decodes may run between chunks, so the limits go with every call
+  const step = async (type, data, pass) => decoderCall(
+    () => runStreamTask(mainThreadStreams, type, session, data, { colorTarget, bitDepth, pass }),
+    limits
+  );
+  return pumpStream(stream, step, options);
+}
+
 /**
  * Decode a JXL image from a URL
  * @param {string} url - URL to the JXL image
+ * @param {Object} [options]
+ * @param {(pngData: Uint8Array, pass: number) => void} [options.onPass] - Stream the response and
+ *   report intermediate passes (see decodeJxlStream)
+ * @param {'original'|'srgb'|'display-p3'} [options.colorTarget='original'] - See decodeJxlToPng
+ * @param {8|16} [options.bitDepth=8] - See decodeJxlToPng
+ * @param {DecodeLimits} [options.limits] - See decodeJxlToPng
  * @returns {Promise<Blob>} - PNG blob
  */
-export async function decodeJxlFromUrl(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+export async function decodeJxlFromUrl(url, options = {}) {
+  const response = await fetchJxlResponse(url);
+
+  let pngData;
+  if (options.onPass && response.body) {
+    pngData = await decodeJxlStream(response.body, options);
+  } else {
+    pngData = await decodeJxlToPng(new Uint8Array(await response.arrayBuffer()), options);
   }
-  const jxlData = new Uint8Array(await response.arrayBuffer());
-  const pngData = await decodeJxlToPng(jxlData);
   return new Blob([pngData], { type: 'image/png' });
 }
 
+// HTTP statuses worth retrying: timeouts, rate limiting and temporary server trouble
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Longest wait a server's Retry-After can ask for; an image is not worth more
+const MAX_RETRY_AFTER = 10000;
+
+/**
+ * Fetch a JXL image, throwing on HTTP errors. Network errors and transient statuses are
+ * retried with exponential backoff (or the server's Retry-After, in seconds, if longer,
+ * up to MAX_RETRY_AFTER).
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @param {{retries?: number, retryDelay?: number}} [retry] - Attempts after the first, and
+ *   the delay before the first retry (ms), doubling each time
+ * @returns {Promise<Response>}
+ */
+async function fetchJxlResponse(url, signal, { retries = 0, retryDelay = 500 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    try {
+      response = await fetch(url, { signal });
+    } catch (err) {
+      if (err.name === 'AbortError' || attempt >= retries) throw err;
+    }
+    if (response?.ok) return response;
+    if (response && (!TRANSIENT_STATUSES.has(response.status) || attempt >= retries)) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+
+    let delay = retryDelay * 2 ** attempt;
+    const retryAfter = Number(response?.headers.get('Retry-After'));
+    if (retryAfter > 0) delay = Math.max(delay, Math.min(retryAfter * 1000, MAX_RETRY_AFTER));
+    response?.body?.cancel();
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Decode aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Decode aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether the browser can load and decode an image on its own
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function canLoadNatively(url) {
+  // Detached, so a failure doesn't reach the document's error listeners
+  const probe = document.createElement('img');
+  probe.src = url;
+  try {
+    await probe.decode();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The shadow host or iframe element a node's tree hangs off, up to this document
+ * @param {Node} node
+ * @returns {Element | null}
+ */
+function outerHost(node) {
+  const root = node.getRootNode();
+  if (root === document) return null;
+  return root.host || root.defaultView?.frameElement || null;
+}
+
+/**
+ * Element.closest(), continuing from shadow roots and iframe documents to their hosts
+ * @param {Element} element
+ * @param {string} selector
+ * @returns {Element | null}
+ */
+function closestAcross(element, selector) {
+  for (let node = element; node; node = outerHost(node)) {
+    const match = node.closest(selector);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Node.contains(), counting what is inside shadow roots and iframes as contained by their hosts
+ * @param {Node} ancestor
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function containsAcross(ancestor, node) {
+  for (let current = node; current; current = outerHost(current)) {
+    if (ancestor.contains(current)) return true;
+  }
+  return false;
+}
+
+// Pseudo-elements and interaction states: a rule using them styles the elements matching the rest
+const DYNAMIC_PSEUDO = /::?(?:before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|hover|active|focus|focus-visible|focus-within|visited|link|target|checked)(?![\w-])/g;
+
+/**
+ * A style rule's selector as something querySelector() can test against the tree
+ * @param {CSSStyleRule} rule
+ * @returns {string | null} - null when it can't be tested (shadow DOM selectors)
+ */
+function matchableSelector(rule) {
+  const selector = rule.selectorText;
+  if (!selector || /:host|::slotted|::part/.test(selector)) return null;
+  return selector.replace(DYNAMIC_PSEUDO, '');
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} - Whether both resolve to the same absolute URL
+ */
+function sameUrl(a, b) {
+  return new URL(a, document.baseURI).href === new URL(b, document.baseURI).href;
+}
+
+/**
+ * Dimensions from the IHDR chunk of a PNG
+ * @param {Blob} blob
+ * @returns {Promise<{width: number, height: number} | null>} - null for other formats
+ */
+async function readPngSize(blob) {
+  const header = new DataView(await blob.slice(0, 24).arrayBuffer());
+  // 'IHDR' is always the first chunk, after the 8-byte signature and the chunk length
+  if (header.byteLength < 24 || header.getUint32(12) !== 0x49484452) return null;
+  return { width: header.getUint32(16), height: header.getUint32(20) };
+}
+
+/**
+ * Read the first chunk of a stream without losing it
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<{head: Uint8Array, stream: ReadableStream<Uint8Array>}>} - The first chunk,
+ *   and a stream that replays it followed by the rest
+ */
+async function peekStream(stream) {
+  const reader = stream.getReader();
+  const first = await reader.read();
+  const replay = new ReadableStream({
+    start(controller) {
+      if (!first.done) controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+  return { head: first.value ?? new Uint8Array(0), stream: replay };
+}
+
+// Animation decoders of sessions run on the main thread, by session object
+const mainThreadAnimations = new Map();
+// Progressive decoders of sessions run on the main thread (and of decodeJxlStream), by session object
+const mainThreadStreams = new Map();
+
+/**
+ * Main-thread counterpart of the decode worker's message handling
+ * @param {'decode'|'decode-pixels'|'decode-bitmap'|'animation-open'|'animation-frame'|
+ *   'animation-reset'|'animation-close'|'stream-open'|'stream-push'|'stream-finish'|
+ *   'stream-close'} type
+ * @param {Uint8Array} jxlData
+ * @param {{colorTarget?: string, bitDepth?: number, maxWidth?: number, maxHeight?: number,
+ *   limits?: DecodeLimits, pass?: boolean}} [output] - PNG output format, the size limits of a
+ *   downscaled still image, and the decode limits (and `pass`, see runStreamTask)
+ * @param {Object} [session] - Session of an animation or progressive decode task
+ * @returns {Promise<Object>} - `{pngData}`, `{width, height, pixels}` or `{bitmap}`, or the
+ *   result of an animation or progressive decode task
+ */
+async function decodeOnMainThread(type, jxlData, output = {}, session = null) {
+  const { maxWidth, maxHeight, limits } = output;
+  if (type.startsWith('animation-')) {
+    await initWasm();
+    return decoderCall(() => runAnimationTask(mainThreadAnimations, type, session, jxlData), limits);
+  }
+  if (type.startsWith('stream-')) {
+    await initWasm();
+    return decoderCall(() => runStreamTask(mainThreadStreams, type, session, jxlData, output), limits);
+  }
+  const { colorTarget } = output;
+  if (type === 'decode-bitmap') {
+    const imageData = await decodeJxl(jxlData, { maxWidth, maxHeight, limits, colorTarget });
+    return { bitmap: await createImageBitmap(imageData) };
+  }
+  if (type === 'decode-pixels') {
+    const { width, height, data } = await decodeJxl(jxlData, { maxWidth, maxHeight, limits, colorTarget });
+    return { width, height, pixels: data };
+  }
+  if (maxWidth || maxHeight) {
+    await initWasm();
+    return {
+      pngData: decoderCall(
+        () => decode_jxl_scaled_to_png(jxlData, maxWidth, maxHeight, undefined, output.colorTarget, output.bitDepth),
+        limits
+      ),
+    };
+  }
+  return { pngData: await decodeJxlToPng(jxlData, output) };
+}
+
+/**
+ * Show an ImageBitmap on a canvas at its own size: handed over without a copy through a
+ * 'bitmaprenderer' context, or drawn if the page already holds a 2d context on the canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {ImageBitmap} bitmap - Consumed
+ */
+function renderBitmap(canvas, bitmap) {
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const renderer = canvas.getContext('bitmaprenderer');
+  if (renderer) {
+    renderer.transferFromImageBitmap(bitmap);
+    return;
+  }
+  canvas.getContext('2d')?.drawImage(bitmap, 0, 0);
+  bitmap.close();
+}
+
+// Rendered sizes are rounded up to a multiple of this, so small layout changes share a decode
+const RENDERED_SIZE_STEP = 64;
+
+/**
+ * URL of the pool's module worker, next to this module in dist/
+ * @returns {URL | null} - null where import.meta.url is unavailable (CJS build)
+ */
+function defaultWorkerUrl() {
+  try {
+    return new URL('./worker.js', import.meta.url);
+  } catch {
+    return null;
+  }
+}
+
 /**
  * JXL Polyfill class for automatic image conversion
  */
-export class JXLPolyfill {
+export class JXLPolyfill extends EventTarget {
   /**
    * @param {Object} options
-   * @param {boolean} [options.patchImageConstructor=true] - Intercept new Image()
-   * @param {boolean} [options.handleCSSBackgrounds=true] - Convert CSS background-image
-   * @param {boolean} [options.handleSourceElements=true] - Convert <source srcset>
+   * @param {RegExp | ((url: string) => boolean)} [options.urlMatcher] - Which URLs are fetched as JXL
+   *   candidates (default: .jxl extension, a format query parameter such as ?fmt=jxl, or
+   *   data:image/jxl); fetched content is always sniffed
+   * @param {boolean} [options.recoverFailedImages=true] - Listen for <img> load errors, sniff the failed
+   *   resource and swap in the decoded image if it is JXL, whatever its URL
+   * @param {boolean} [options.interceptImages=true] - Intercept programmatic image loading
+   *   (src/srcset setters, setAttribute, decode()) on HTMLImageElement.prototype
+   * @param {boolean} [options.patchImageConstructor] - Deprecated: false disables interceptImages
+   * @param {boolean} [options.patchCreateImageBitmap=false] - Let createImageBitmap() take JXL
+   *   Blobs and ArrayBuffers, decoded on the worker pool (see patchCreateImageBitmap)
+   * @param {boolean} [options.handleCSSBackgrounds=true] - Convert JXL images in stylesheets and
+   *   inline styles (backgrounds, image-set(), border-image, masks, list-style-image, content)
+   * @param {boolean} [options.handleSourceElements=true] - Convert <source srcset> (<img srcset> is always handled)
    * @param {boolean} [options.handleSVGElements=true] - Convert SVG <image>/<feImage>
    * @param {boolean} [options.cacheDecoded=true] - Cache decoded images
-   * @param {boolean} [options.showLoadingState=false] - Show loading indicator
+   * @param {number} [options.cacheMaxEntries=200] - Evict least recently used images beyond this count
+   * @param {number} [options.cacheMaxBytes=104857600] - Evict least recently used images beyond this
+   *   many bytes of decoded blobs (default 100 MB)
+   * @param {boolean} [options.persistentCache=false] - Keep decoded images in Cache Storage across
+   *   page loads, keyed by URL + ETag/Last-Modified (or content hash), decoder version and output settings
+   * @param {number} [options.persistentCacheMaxBytes=52428800] - Quota for the persistent cache (default 50 MB)
+   * @param {'png'|'canvas'} [options.decodeMode='png'] - 'canvas' paints raw pixels onto a canvas
+   *   instead of encoding a PNG in WASM (animated images always use 'png')
+   * @param {'original'|'srgb'|'display-p3'} [options.colorTarget='original'] - Color space of decoded
+   *   PNGs; 'original' keeps wide-gamut/HDR colors and tags the PNG so the browser renders them.
+   *   Untagged output (canvas bitmaps, decodeMode 'canvas', createImageBitmap()) is sRGB unless 'display-p3'
+   * @param {8|16} [options.bitDepth=8] - Bits per sample of decoded PNGs (16 avoids banding in HDR)
+   * @param {boolean} [options.animationPlayer=true] - Play animated <img> sources in a canvas player
+   *   (frame-by-frame, honoring loop count, reduced motion and visibility) instead of an APNG
+   * @param {boolean} [options.progressive=true] - Paint intermediate passes of <img> sources while
+   *   bytes arrive (only with decodeMode 'png')
+   * @param {boolean} [options.decodeToRenderedSize=false] - Downscale still <img> sources that have
+   *   width/height attributes to their rendered size times devicePixelRatio, re-decoding larger when
+   *   they grow. Only the output shrinks (blobs, cache, the browser's bitmaps): the full image is
+   *   still decoded, so decode time and peak memory don't. Disables progressive passes for them
+   * @param {number} [options.maxPixels=134217728] - Fail images with more pixels per frame (see DecodeLimits)
+   * @param {number} [options.maxFrames=1000] - Fail animations with more frames, unless shown by the player
+   * @param {number} [options.maxTotalBytes=1073741824] - Fail images whose decoded frames need more memory
+   * @param {number} [options.decodeTimeout=30000] - Abandon worker decodes running longer than this (ms);
+   *   main-thread decodes (workers: 0, or workers that can't start) can't be interrupted, which
+   *   a console warning reports once. Progressive decodes are timed per chunk
+   * @param {number} [options.workers] - Size of the decode worker pool; 0 decodes on the main
+   *   thread (default: based on navigator.hardwareConcurrency)
+   * @param {string | URL} [options.workerUrl] - Location of dist/worker.js, if served elsewhere
+   * @param {boolean} [options.lazy=false] - Defer every JXL until it nears the viewport
+   *   (loading="lazy" images are always deferred)
+   * @param {string} [options.rootMargin='200px'] - How far outside the viewport lazy decoding starts
+   * @param {number} [options.fetchRetries=2] - Retries of a JXL fetch after a network error or a
+   *   transient HTTP status (408, 429, 5xx)
+   * @param {number} [options.fetchRetryDelay=500] - Delay before the first retry (ms), doubling each
+   *   time; a longer Retry-After wins, up to 10 s
+   * @param {(url: string, element: Element) => string | string[] | null} [options.fallbackUrl] -
+   *   Alternative URLs to try when a JXL fails to decode, e.g. the same image as WebP or JPEG
+   * @param {string} [options.conversionEndpoint] - Server-side converter tried last when a JXL
+   *   fails to decode; `{url}` is replaced with the encoded absolute URL of the JXL
+   * @param {boolean} [options.shadowDom=true] - Handle open shadow roots, including ones attached later
+   * @param {boolean} [options.iframes=false] - Handle the documents of same-origin iframes
+   * @param {Element | Document} [options.root=document] - Only handle elements inside this subtree
+   * @param {string} [options.selector] - Only handle elements matching this selector
+   * @param {boolean} [options.showLoadingState=false] - Show a neutral gray placeholder while
+   *   decoding <img> elements that have no data-jxl-placeholder
    * @param {boolean} [options.verbose=false] - Enable debug logging
+   * @param {(context: {element: Element, url: string}) => boolean | string | void |
+   *   Promise<boolean | string | void>} [options.beforeDecode] - Called before an element's JXL
+   *   candidate is fetched (the content may still turn out not to be JXL): return false to leave
+   *   the element alone, or a URL to fetch instead
+   * @param {(detail: JxlDecodedDetail) => boolean | void | Promise<boolean | void>} [options.afterDecode] -
+   *   Called with the result before it is put on the element; return false to discard it
    */
   constructor(options = {}) {
+    super();
     this.options = {
-      patchImageConstructor: true,
+      urlMatcher: null,
+      recoverFailedImages: true,
+      interceptImages: true,
+      patchCreateImageBitmap: false,
       handleCSSBackgrounds: true,
       handleSourceElements: true,
       handleSVGElements: true,
       cacheDecoded: true,
+      cacheMaxEntries: 200,
+      cacheMaxBytes: 100 * 1024 * 1024,
+      persistentCache: false,
+      persistentCacheMaxBytes: 50 * 1024 * 1024,
+      decodeMode: 'png',
+      colorTarget: 'original',
+      bitDepth: 8,
+      animationPlayer: true,
+      progressive: true,
+      decodeToRenderedSize: false,
+      maxPixels: 128 * 1024 * 1024,
+      maxFrames: 1000,
+      maxTotalBytes: 1024 * 1024 * 1024,
+      decodeTimeout: 30000,
+      fetchRetries: 2,
+      fetchRetryDelay: 500,
+      fallbackUrl: null,
+      conversionEndpoint: null,
+      workers: defaultPoolSize(),
+      workerUrl: null,
+      lazy: false,
+      rootMargin: '200px',
+      shadowDom: true,
+      iframes: false,
+      root: null,
+      selector: null,
       showLoadingState: false,
       verbose: false,
+      beforeDecode: null,
+      afterDecode: null,
       ...options,
     };
 
-    this.cache = new Map();
-    this.observer = null;
+    this.matchesUrl = createUrlMatcher(this.options.urlMatcher);
+    this.root = this.options.root || document;
+    // Candidate URLs whose content turned out not to be JXL
+    this.notJxl = new Set();
+    this.cache = new DecodeCache({
+      maxEntries: this.options.cacheMaxEntries,
+      maxBytes: this.options.cacheMaxBytes,
+    });
+    this.persistentCache = null;
+    this.pool = null;
+    // Set once a decode ran on the main thread with a decodeTimeout it couldn't enforce
+    this.timeoutUnavailable = false;
+    // In-flight decodes per element, aborted when the element's source changes
+    this.pending = new WeakMap();
+    // srcset state: authored value, selected candidate URL and the value we wrote back
+    this.srcsetOriginals = new WeakMap();
+    this.srcsetSelections = new WeakMap();
+    this.srcsetApplied = new WeakMap();
+    // <img> src we wrote ourselves (placeholder, restored original, fallback), ignored by the observer
+    this.srcApplied = new WeakMap();
+    // CSS declaration -> property -> value last taken on (in flight, failed or our rewrite)
+    this.cssHandled = new WeakMap();
+    // Style rules with JXL images that no element in scope matches yet -> { owner, baseUrl }
+    this.unusedRules = new Map();
+    // Stylesheets and @media/@import rules waiting for their media query to match
+    this.inactiveRules = new WeakSet();
+    this.ruleCheckScheduled = false;
+    // Prototype-level interception: <img> -> { url the page set, object URL shown, pending decode }
+    this.intercepted = new WeakMap();
+    // Object URLs of JXL blobs created by the page
+    this.jxlObjectUrls = new Set();
+    // Elements whose fallback chain has run, so it is only tried once
+    this.fallbacksUsed = new WeakSet();
+    // Elements whose srcset selection is re-evaluated on resize/DPR change
+    this.srcsetElements = new Set();
+    // Lazy decoding: visibility target -> elements waiting on it
+    this.lazyObserver = null;
+    this.deferred = new Map();
+    this.revealed = new WeakSet();
+    // Error-event recovery: images that failed before WASM was ready, errors we held back
+    // from the page while decoding, and the URL each image was last given up on
+    this.recoveryQueue = null;
+    this.suppressedErrors = new WeakSet();
+    this.givenUp = new WeakMap();
+    this.onImageError = (event) => this.handleImageError(event);
+    // Animated <img> -> { player, canvas, display } for images shown by the canvas player
+    this.players = new Map();
+    // decodeToRenderedSize: <img> -> { url, maxSize } of its current downscaled decode
+    this.renderedSizes = new Map();
+    // Teardown callbacks run by stop()
+    this.cleanups = [];
+    // Watched scopes (the document or root, open shadow roots, same-origin iframe documents)
+    // -> their MutationObserver
+    this.observers = new Map();
+    // Watched <iframe> -> the document last seen in it
+    this.frames = new WeakMap();
     this.started = false;
     this.hasNativeSupport = null;
     this.stats = {
       imagesConverted: 0,
       bytesSaved: 0,
       cacheHits: 0,
+      persistentCacheHits: 0,
     };
   }
 
@@ -140,117 +974,763 @@ export class JXLPolyfill {
   async start() {
     if (this.started) return;
 
+    // Catch <img> failures from now on; they are queued until the decoder is ready
+    if (this.options.recoverFailedImages) {
+      this.recoveryQueue = new Set();
+      document.addEventListener('error', this.onImageError, true);
+    }
+
     // Check for native support
     this.hasNativeSupport = await checkNativeJxlSupport();
     if (this.hasNativeSupport) {
       this.log('Native JXL support detected, polyfill not needed');
+      document.removeEventListener('error', this.onImageError, true);
+      this.recoveryQueue = null;
       return;
     }
 
-    // Initialize WASM
+    // Initialize WASM; the options' limits go with each decode, leaving the thread's alone
     await initWasm();
     this.log('WASM module initialized');
 
-    // Patch Image constructor
-    if (this.options.patchImageConstructor) {
-      this.patchImageConstructor();
+    // Decoded images persisted across page loads
+    if (this.options.persistentCache && PersistentCache.isSupported()) {
+      this.persistentCache = new PersistentCache({
+        // Output settings go in the entry keys instead (see persistentKeyBase), so pages
+        // and instances with different settings share the cache without wiping it
+        version: decoder_version(),
+        maxBytes: this.options.persistentCacheMaxBytes,
+        log: (...args) => this.log(...args),
+      });
+    }
+
+    // Decode worker pool
+    const workerUrl = this.options.workerUrl || defaultWorkerUrl();
+    if (this.options.workers > 0 && workerUrl) {
+      this.pool = new DecoderPool({
+        workerUrl,
+        size: this.options.workers,
+        fallback: (...args) => {
+          this.warnTimeoutUnavailable();
+          return decodeOnMainThread(...args);
+        },
+        log: (...args) => this.log(...args),
+      });
+    }
+
+    // Intercept images loaded from script
+    if (this.interceptsImages()) {
+      this.patchImagePrototype(window);
+    }
+    if (this.options.patchCreateImageBitmap) {
+      this.cleanups.push(patchCreateImageBitmap(window, {
+        decode: async (jxlData) => {
+          // Copied: the pool transfers the buffer, which may be the caller's
+          const { width, height, pixels } = await this.decode('decode-pixels', jxlData.slice());
+          return createImageData(pixels, width, height, pixelColorTarget(this.options.colorTarget));
+        },
+      }));
+    }
+
+    // Watch for deferred elements nearing the viewport
+    this.startLazyObserver();
+
+    // Catch shadow roots attached from now on
+    if (this.options.shadowDom) {
+      this.patchAttachShadow(window);
     }
 
-    // Process existing elements
-    this.processExistingElements();
+    // Process existing elements, and watch for DOM changes
+    this.addScope(this.root);
+
+    // Re-pick srcset candidates when the viewport or DPR changes
+    this.watchViewport();
 
-    // Start observing DOM changes
-    this.startObserver();
+    // Retry images that failed while we were starting up, or before we were loaded
+    if (this.options.recoverFailedImages) {
+      this.cleanups.push(() => document.removeEventListener('error', this.onImageError, true));
+      const failed = this.recoveryQueue;
+      this.recoveryQueue = null;
+      document.querySelectorAll('img').forEach((img) => {
+        if (img.complete && img.naturalWidth === 0 && img.currentSrc && !this.isExcluded(img)) failed.add(img);
+      });
+      failed.forEach((img) => this.recoverImage(img, img.currentSrc || img.src, false));
+    }
 
     this.started = true;
     this.log('Polyfill started');
   }
 
   /**
-   * Stop the polyfill
+   * Stop the polyfill and release all cached images
    */
   stop() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers.clear();
+    this.frames = new WeakMap();
+    // Before the pool goes: players close their decoders on it
+    this.players.forEach((entry, img) => this.unmountPlayer(img));
+    if (this.pool) {
+      this.pool.terminate();
+      this.pool = null;
     }
+    if (this.lazyObserver) {
+      this.lazyObserver.disconnect();
+      this.lazyObserver = null;
+      this.deferred.clear();
+    }
+    this.cleanups.splice(0).forEach((cleanup) => cleanup());
+    this.srcsetElements.clear();
+    this.unusedRules.clear();
+    this.renderedSizes.clear();
+    this.clearCache();
     this.started = false;
     this.log('Polyfill stopped');
   }
 
   /**
    * Get polyfill statistics
-   * @returns {{imagesConverted: number, bytesSaved: number, cacheHits: number, cacheSize: number}}
+   * @returns {{imagesConverted: number, bytesSaved: number, cacheHits: number, persistentCacheHits: number,
+   *   cacheSize: number, cacheBytes: number, retainedBytes: number}}
    */
   getStats() {
     return {
       ...this.stats,
       cacheSize: this.cache.size,
+      cacheBytes: this.cache.bytes,
+      retainedBytes: this.cache.retainedBytes,
     };
   }
 
+  /**
+   * Drop all cached images and revoke their object URLs
+   */
+  clearCache() {
+    this.cache.clear();
+    this.log('Cache cleared');
+  }
+
+  /**
+   * Whether a URL is a JXL candidate (see the urlMatcher option)
+   * @param {string | null} url
+   * @returns {boolean}
+   */
   isJxlUrl(url) {
-    if (!url) return false;
-    const lower = url.toLowerCase();
-    return lower.endsWith('.jxl') || lower.includes('.jxl?') || lower.includes('.jxl#');
+    return this.matchesUrl(url);
   }
 
-  async getCachedOrDecode(url) {
-    if (this.options.cacheDecoded && this.cache.has(url)) {
-      this.stats.cacheHits++;
-      return this.cache.get(url);
-    }
+  /**
+   * Decode the JXL behind one of an element's sources and hand the result to `apply`, running
+   * the beforeDecode/afterDecode hooks and emitting the jxl:decodestart, jxl:decoded and
+   * jxl:error events (on the element, bubbling, and on the polyfill). The events start once the
+   * content is known to be JXL; candidates that turn out not to be are left without any.
+   * @param {Element} element
+   * @param {string} url
+   * @param {Object} options - See getCachedOrDecode, plus `holder`: what the result is put on,
+   *   holding its object URL in the cache (default: the element; a CSS declaration for rules)
+   * @param {(result: string | {animation: JxlFrameSource} | {bitmap: ImageBitmap}) => boolean | void} apply - Puts the result
+   *   on the element, or gets `url` back if the content is not JXL; returns false if it didn't
+   *   apply it (e.g. the element moved on meanwhile)
+   * @returns {Promise<boolean>} - Whether a decoded result was applied
+   */
+  async decodeFor(element, url, { holder = element, ...options }, apply) {
+    const startTime = performance.now();
+    // jxl:decodestart was emitted, so the outcome is reported too
+    let started = false;
+    let source = url;
+    try {
+      if (this.options.beforeDecode) {
+        const verdict = await this.options.beforeDecode({ element, url });
+        if (verdict === false) {
+          this.log('Skipped by beforeDecode:', url);
+          return false;
+        }
+        if (typeof verdict === 'string') source = verdict;
+      }
+      // Relative to the element's document, which may be an iframe's
+      source = new URL(source, element.baseURI || document.baseURI).href;
+      const onJxl = () => {
+        started = true;
+        this.emit('jxl:decodestart', element, { url: source });
+      };
 
-    const pngBlob = await decodeJxlFromUrl(url);
-    const objectUrl = URL.createObjectURL(pngBlob);
+      const details = {};
+      const result = await this.getCachedOrDecode(source, { ...options, details, onJxl });
+      const duration = performance.now() - startTime;
+
+      if (result === source) {
+        apply(url);
+        return false;
+      }
+
+      const objectUrl = typeof result === 'string' ? result : null;
+      const detail = { url: source, objectUrl, duration, ...details };
+      try {
+        if (this.options.afterDecode && (await this.options.afterDecode({ element, ...detail })) === false) {
+          this.log('Discarded by afterDecode:', source);
+          this.discardResult(result);
+          return false;
+        }
+        if (apply(result) === false) {
+          this.discardResult(result);
+          return false;
+        }
+        // Keeps the object URL from being revoked while the element or declaration shows it
+        if (objectUrl) this.cache.hold(objectUrl, holder);
+      } finally {
+        // Pinned by getCachedOrDecode; from here on, holding it is up to the holder
+        if (objectUrl) this.cache.unpin(objectUrl);
+      }
 
-    if (this.options.cacheDecoded) {
-      this.cache.set(url, objectUrl);
+      this.emit('jxl:decoded', element, detail);
+      return true;
+    } catch (err) {
+      if (started && err.name !== 'AbortError') {
+        this.emit('jxl:error', element, { url: source, error: err, duration: performance.now() - startTime });
+      }
+      throw err;
     }
+  }
 
-    this.stats.imagesConverted++;
-    return objectUrl;
+  /**
+   * Release a decode result that was never put on an element
+   * @param {string | {animation: JxlFrameSource} | {bitmap: ImageBitmap}} result
+   */
+  discardResult(result) {
+    if (typeof result === 'string') {
+      this.cache.discard(result);
+    } else {
+      result.animation?.close();
+      result.bitmap?.close();
+    }
   }
 
-  patchImageConstructor() {
-    const polyfill = this;
-    const OriginalImage = window.Image;
+  /**
+   * Dispatch a lifecycle event on the element (bubbling, so it can be handled on a container)
+   * and on the polyfill
+   * @param {'jxl:decodestart'|'jxl:decoded'|'jxl:error'} type
+   * @param {Element} element
+   * @param {Object} detail
+   */
+  emit(type, element, detail) {
+    const eventDetail = { element, ...detail };
+    element.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: eventDetail }));
+    this.dispatchEvent(new CustomEvent(type, { detail: eventDetail }));
+  }
 
-    window.Image = function(width, height) {
-      const img = new OriginalImage(width, height);
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {(passBlob: Blob) => void} [options.onPass] - Receives intermediate passes when decoding progressively
+   * @param {AbortSignal} [options.signal] - Cancels the fetch and decode
+   * @param {number} [options.priority=0] - Decode queue priority (see getPriority)
+   * @param {boolean} [options.animate=false] - Hand animated images back as a frame source for the
+   *   canvas player, decoding on the worker pool
+   * @param {boolean} [options.bitmap=false] - Decode to an ImageBitmap (the first frame) on the
+   *   worker instead of an image Blob; not cached, as the bitmap is handed over to its canvas
+   * @param {{width: number, height: number}} [options.maxSize] - Downscale still images to fit
+   *   (0 leaves a side unconstrained); cached separately from the full-size decode
+   * @param {Object} [options.details] - Filled in with where the result came from ('memory',
+   *   'persistent' or 'decoder'), input/output byte counts and the decoded size, where known
+   * @param {() => void} [options.onJxl] - Called once the content is known to be JXL (from the
+   *   cache, Content-Type or signature), before it is decoded
+   * @returns {Promise<string | {animation: JxlFrameSource} | {bitmap: ImageBitmap}>} - Object URL of
+   *   the decoded image, `url` itself if the content is not JXL after all, the frames of an animation
+   *   with `animate`, or the decoded image with `bitmap` (cached images still come back as URLs).
+   *   An object URL comes back pinned in the cache (see DecodeCache#pin): the caller unpins it once
+   *   it is held or discarded, so a decode finishing meanwhile can't evict and revoke it first.
+   */
+  async getCachedOrDecode(
+    url,
+    { onPass, signal, priority = 0, animate = false, bitmap = false, maxSize = null, details = {}, onJxl } = {}
+  ) {
+    let identified = false;
+    const isJxl = () => {
+      if (identified) return;
+      identified = true;
+      onJxl?.();
+    };
 
-      const originalSrcDescriptor = Object.getOwnPropertyDescriptor(
-        HTMLImageElement.prototype,
-        'src'
-      );
+    const cacheKey = maxSize ? `${url}#${maxSize.width}x${maxSize.height}` : url;
+    if (this.options.cacheDecoded && this.cache.has(cacheKey)) {
+      isJxl();
+      this.stats.cacheHits++;
+      Object.assign(details, { source: 'memory', player: false }, this.cache.info(cacheKey));
+      const objectUrl = this.cache.get(cacheKey);
+      this.cache.pin(objectUrl);
+      return objectUrl;
+    }
+    if (this.notJxl.has(url)) return url;
 
-      Object.defineProperty(img, 'src', {
-        get() {
-          return originalSrcDescriptor.get.call(this);
-        },
-        set(value) {
-          if (polyfill.isJxlUrl(value)) {
-            polyfill.log('Intercepted Image.src:', value);
-            polyfill.getCachedOrDecode(value).then((pngUrl) => {
-              originalSrcDescriptor.set.call(this, pngUrl);
-            }).catch((err) => {
-              console.error('[JXL Polyfill] Failed to decode:', err);
-              originalSrcDescriptor.set.call(this, value);
-            });
-          } else {
-            originalSrcDescriptor.set.call(this, value);
-          }
-        },
-        configurable: true,
-      });
+    const response = await fetchJxlResponse(url, signal, {
+      retries: this.options.fetchRetries,
+      retryDelay: this.options.fetchRetryDelay,
+    });
+
+    let source = 'decoder';
+    let inputBytes = null;
+    const keyBase = this.persistentKeyBase(cacheKey);
+    let persistentKey = this.persistentCache && validatorKey(keyBase, response);
+    let blob = persistentKey && (await this.readPersistent(persistentKey));
+    const fromPersistentCache = () => {
+      isJxl();
+      source = 'persistent';
+      this.stats.persistentCacheHits++;
+      this.log('Persistent cache hit:', url);
+    };
+
+    let body = response.body;
+    if (blob) {
+      fromPersistentCache();
+      body?.cancel();
+    } else if (
+      onPass &&
+      !maxSize &&
+      this.options.progressive &&
+      this.options.decodeMode === 'png' &&
+      body &&
+      isJxlContentType(response.headers.get('Content-Type'))
+    ) {
+      isJxl();
+      // Animations for the player need the whole file, not progressive passes
+      let head = null;
+      if (animate) {
+        ({ head, stream: body } = await peekStream(body));
+      }
+      const wholeFile = head && is_jxl_animated(head) === true;
+      if (!wholeFile) {
+        const pngData = await this.decodeStream(body, { signal, priority }, (passData) => {
+          onPass(new Blob([passData], { type: 'image/png' }));
+        });
+        blob = new Blob([pngData], { type: 'image/png' });
+        this.writePersistent(persistentKey, blob);
+      }
+    }
+
+    if (!blob) {
+      const jxlData = new Uint8Array(await new Response(body).arrayBuffer());
+      inputBytes = jxlData.byteLength;
+
+      if (!isJxlSignature(jxlData)) {
+        this.log('Not a JXL file, leaving it to the browser:', url);
+        this.notJxl.add(url);
+        return url;
+      }
+      isJxl();
+
+      if (animate && is_jxl_animated(jxlData) === true) {
+        Object.assign(details, { source, player: true, inputBytes, outputBytes: null, width: null, height: null });
+        return { animation: await this.openAnimation(jxlData, { signal, priority }) };
+      }
+
+      if (bitmap) {
+        const scale = maxSize ? { maxWidth: maxSize.width, maxHeight: maxSize.height } : {};
+        const result = await this.decode('decode-bitmap', jxlData, { signal, priority }, scale);
+        const { width, height } = result.bitmap;
+        Object.assign(details, { source, player: false, inputBytes, outputBytes: null, width, height });
+        this.stats.imagesConverted++;
+        return result;
+      }
+
+      // No validator headers: key on a hash of the content (before the bytes are transferred)
+      if (this.persistentCache && !persistentKey) {
+        persistentKey = await contentKey(keyBase, jxlData);
+        blob = await this.readPersistent(persistentKey);
+      }
+
+      if (blob) {
+        fromPersistentCache();
+      } else {
+        blob = await this.decodeToBlob(jxlData, { signal, priority }, maxSize);
+        this.writePersistent(persistentKey, blob);
+      }
+    }
+
+    const info = { inputBytes, outputBytes: blob.size, width: null, height: null, ...(await readPngSize(blob)) };
+    Object.assign(details, { source, player: false }, info);
+
+    const objectUrl = this.options.cacheDecoded
+      ? this.cache.set(cacheKey, blob, info)
+      : this.cache.adopt(blob);
+    this.cache.pin(objectUrl);
+
+    this.stats.imagesConverted++;
+    return objectUrl;
+  }
+
+  /**
+   * Persistent cache key of an image before its validator: the output settings that
+   * change the stored result, then the cache key. decodeMode matters too: 'canvas' stores
+   * untagged sRGB (or Display P3) PNGs where 'png' keeps the original colors.
+   * @param {string} cacheKey - Source URL, plus the size of a downscaled decode
+   * @returns {string}
+   */
+  persistentKeyBase(cacheKey) {
+    const { decodeMode, colorTarget, bitDepth, animationPlayer } = this.options;
+    const output = [decodeMode, colorTarget, bitDepth, animationPlayer ? 'player' : 'apng'];
+    return `${output.join('-')}|${cacheKey}`;
+  }
+
+  /**
+   * Look up a decoded image in the persistent cache; storage errors count as a miss
+   * @param {string} key
+   * @returns {Promise<Blob | null>}
+   */
+  async readPersistent(key) {
+    try {
+      return await this.persistentCache.get(key);
+    } catch (err) {
+      this.log('Persistent cache read failed:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Store a decoded image in the persistent cache in the background
+   * @param {string | null} key - Nothing is stored without a key
+   * @param {Blob} blob
+   */
+  writePersistent(key, blob) {
+    if (!this.persistentCache || !key) return;
+    this.persistentCache.put(key, blob).catch((err) => {
+      this.log('Persistent cache write failed:', err);
+    });
+  }
+
+  /**
+   * Delete every decoded image stored across page loads
+   * @returns {Promise<void>}
+   */
+  async clearPersistentCache() {
+    if (this.persistentCache) {
+      await this.persistentCache.clear();
+    }
+  }
+
+  /**
+   * Decode JXL bytes to an image Blob according to `decodeMode`
+   * @param {Uint8Array} jxlData - Transferred to a worker when the pool is in use
+   * @param {{signal?: AbortSignal, priority?: number}} [taskOptions]
+   * @param {{width: number, height: number}} [maxSize] - Downscale to fit, if the image is still
+   * @returns {Promise<Blob>}
+   */
+  async decodeToBlob(jxlData, taskOptions, maxSize = null) {
+    // Header-only check; animations keep every frame at full size
+    const still = is_jxl_animated(jxlData) === false;
+    const scale = maxSize && still ? { maxWidth: maxSize.width, maxHeight: maxSize.height } : {};
+
+    if (this.options.decodeMode === 'canvas') {
+      if (still) {
+        const { width, height, pixels } = await this.decode('decode-pixels', jxlData, taskOptions, scale);
+        return imageDataToBlob(createImageData(pixels, width, height, pixelColorTarget(this.options.colorTarget)));
+      }
+    }
+
+    const { pngData } = await this.decode('decode', jxlData, taskOptions, scale);
+    return new Blob([pngData], { type: 'image/png' });
+  }
+
+  /**
+   * Run a decode on the worker pool, or on the main thread without one
+   * @param {string} type - A task type of DecoderPool#run
+   * @param {Uint8Array} jxlData
+   * @param {{signal?: AbortSignal, priority?: number, session?: Object}} [taskOptions]
+   * @param {{maxWidth?: number, maxHeight?: number, pass?: boolean}} [scale] - Size limits of a
+   *   still image (or whether a stream task should return a pass)
+   * @returns {Promise<Object>} - `{pngData}`, `{width, height, pixels}` or `{bitmap}`, or the
+   *   result of an animation or stream task
+   */
+  decode(type, jxlData, taskOptions = {}, scale = {}) {
+    const output = { ...this.outputFormat(), ...scale, limits: this.decodeLimits() };
+    // Raw pixels and bitmaps are read as sRGB or Display P3, whatever the PNGs keep
+    if (type === 'decode-pixels' || type === 'decode-bitmap') {
+      output.colorTarget = pixelColorTarget(output.colorTarget);
+    }
+    if (this.pool) {
+      return this.pool.run(type, jxlData, { ...taskOptions, output, timeout: this.options.decodeTimeout });
+    }
+    this.warnTimeoutUnavailable();
+    return decodeOnMainThread(type, jxlData, output, taskOptions.session);
+  }
+
+  /**
+   * Decode a JXL progressively as it downloads, on a pool worker (or the main thread without
+   * one) that keeps the decoder between chunks. decodeTimeout applies to each chunk.
+   * @param {ReadableStream<Uint8Array>} stream - The response body
+   * @param {{signal?: AbortSignal, priority?: number}} taskOptions
+   * @param {(pngData: Uint8Array) => void} onPass - Gets a PNG of each intermediate pass
+   * @returns {Promise<Uint8Array>} - The final PNG (or APNG) bytes
+   */
+  decodeStream(stream, { signal, priority }, onPass) {
+    const session = this.pool ? this.pool.session() : {};
+    // Closing the session must run even once the decode was aborted
+    const step = (type, data = new Uint8Array(0), pass = false) => this.decode(
+      type,
+      data,
+      { session, priority, signal: type === 'stream-close' ? undefined : signal },
+      { pass }
+    );
+    return pumpStream(stream, step, { onPass });
+  }
+
+  /**
+   * Say once that decodeTimeout doesn't apply: WASM on the main thread can't be interrupted
+   */
+  warnTimeoutUnavailable() {
+    if (!this.options.decodeTimeout || this.timeoutUnavailable) return;
+    this.timeoutUnavailable = true;
+    console.warn('[JXL Polyfill] Decoding on the main thread, where decodeTimeout cannot be enforced');
+  }
+
+  /**
+   * Open an animation for the canvas player: its decoder stays on one pool worker (or the main
+   * thread without one), which decodes each frame as the player asks for it
+   * @param {Uint8Array} jxlData - The complete JXL file (transferred)
+   * @param {{signal?: AbortSignal, priority?: number}} [taskOptions] - For opening only; the
+   *   player's frame decodes aren't cancellable but for destroying it
+   * @returns {Promise<JxlFrameSource>}
+   */
+  async openAnimation(jxlData, taskOptions = {}) {
+    const session = this.pool ? this.pool.session() : {};
+    const run = (type, data = new Uint8Array(0), options = {}) => this.decode(type, data, { ...options, session });
+    let opened;
+    try {
+      opened = await run('animation-open', jxlData, taskOptions);
+    } catch (err) {
+      // An aborted open may still finish on a worker kept for its other sessions
+      run('animation-close').catch(() => {});
+      throw err;
+    }
+    const { width, height, loopCount, frameDurations } = opened;
+    return {
+      width,
+      height,
+      loopCount,
+      frameDurations,
+      next: async () => {
+        const { done, index, duration, pixels } = await run('animation-frame');
+        return done ? null : { index, duration, blend: 'replace', imageData: new ImageData(pixels, width, height) };
+      },
+      reset: () => run('animation-reset'),
+      // A stopped worker took the decoder with it
+      close: () => run('animation-close').catch(() => {}),
+    };
+  }
+
+  /**
+   * @returns {boolean} - Whether programmatic image loading is intercepted
+   */
+  interceptsImages() {
+    return this.options.interceptImages && this.options.patchImageConstructor !== false;
+  }
+
+  /**
+   * Decode limits from the options, sent with every decode (worker or main thread)
+   * @returns {DecodeLimits}
+   */
+  decodeLimits() {
+    const { maxPixels, maxFrames, maxTotalBytes } = this.options;
+    return { maxPixels, maxFrames, maxTotalBytes };
+  }
+
+  /**
+   * PNG output settings passed to every decode
+   * @returns {{colorTarget: string, bitDepth: number}}
+   */
+  outputFormat() {
+    return { colorTarget: this.options.colorTarget, bitDepth: this.options.bitDepth };
+  }
+
+  /**
+   * Intercept programmatic image loading on HTMLImageElement.prototype in a window (ours or a
+   * same-origin iframe's): the src and srcset setters, setAttribute() and decode(). Covers
+   * images the MutationObserver can't see (new Image(), createElement('img') before insertion)
+   * and object URLs of JXL blobs. While a decode is pending `complete` is false and decode()
+   * waits for it; `src`, `currentSrc` and `srcset` report the page's values, not object URLs.
+   * stop() restores the original members.
+   * @param {Window} win
+   */
+  patchImagePrototype(win) {
+    const polyfill = this;
+    const proto = win.HTMLImageElement.prototype;
+    const originals = {};
+    for (const name of ['src', 'srcset', 'currentSrc', 'complete', 'decode', 'setAttribute']) {
+      originals[name] = Object.getOwnPropertyDescriptor(proto, name);
+    }
+    const setAttribute = win.Element.prototype.setAttribute;
+    const rawSrc = originals.src;
+    const rawSrcset = originals.srcset;
 
-      return img;
+    Object.defineProperty(proto, 'src', {
+      ...rawSrc,
+      get() {
+        const state = polyfill.intercepted.get(this);
+        const src = rawSrc.get.call(this);
+        return state?.url && (state.pending || src === state.objectUrl) ? state.url : src;
+      },
+      set(value) {
+        polyfill.setImageSrc(this, value, (src) => rawSrc.set.call(this, src));
+      },
+    });
+
+    Object.defineProperty(proto, 'srcset', {
+      ...rawSrcset,
+      get() {
+        const srcset = rawSrcset.get.call(this);
+        return polyfill.srcsetApplied.get(this) === srcset ? polyfill.srcsetOriginals.get(this) ?? srcset : srcset;
+      },
+      set(value) {
+        polyfill.setImageSrcset(this, value, (srcset) => rawSrcset.set.call(this, srcset));
+      },
+    });
+
+    Object.defineProperty(proto, 'currentSrc', {
+      ...originals.currentSrc,
+      get() {
+        const state = polyfill.intercepted.get(this);
+        const currentSrc = originals.currentSrc.get.call(this);
+        return state?.url && currentSrc === state.objectUrl ? state.url : currentSrc;
+      },
+    });
+
+    Object.defineProperty(proto, 'complete', {
+      ...originals.complete,
+      get() {
+        return !polyfill.intercepted.get(this)?.pending && originals.complete.get.call(this);
+      },
+    });
+
+    proto.decode = function decode() {
+      const pending = polyfill.intercepted.get(this)?.pending;
+      return pending ? pending.then(() => originals.decode.value.call(this)) : originals.decode.value.call(this);
     };
 
-    window.Image.prototype = OriginalImage.prototype;
+    proto.setAttribute = function (name, value) {
+      const attribute = String(name).toLowerCase();
+      if (attribute === 'src') {
+        polyfill.setImageSrc(this, value, (src) => setAttribute.call(this, 'src', src));
+      } else if (attribute === 'srcset') {
+        polyfill.setImageSrcset(this, value, (srcset) => setAttribute.call(this, 'srcset', srcset));
+      } else {
+        setAttribute.call(this, name, value);
+      }
+    };
+
+    // Remember object URLs of JXL blobs (e.g. fetched and turned into a blob by the page)
+    const { createObjectURL, revokeObjectURL } = win.URL;
+    win.URL.createObjectURL = function (object) {
+      const url = createObjectURL.call(this, object);
+      if (object?.type === 'image/jxl') polyfill.jxlObjectUrls.add(url);
+      return url;
+    };
+    win.URL.revokeObjectURL = function (url) {
+      polyfill.jxlObjectUrls.delete(url);
+      return revokeObjectURL.call(this, url);
+    };
+
+    this.cleanups.push(() => {
+      for (const [name, descriptor] of Object.entries(originals)) {
+        if (descriptor) {
+          Object.defineProperty(proto, name, descriptor);
+        } else {
+          delete proto[name];
+        }
+      }
+      win.URL.createObjectURL = createObjectURL;
+      win.URL.revokeObjectURL = revokeObjectURL;
+    });
+  }
+
+  /**
+   * Whether a new src is ours to decode at the prototype level: JXL the MutationObserver
+   * won't see because the image is detached, or a JXL object URL (which the observer skips)
+   * @param {HTMLImageElement} img
+   * @param {string} value
+   * @returns {boolean}
+   */
+  shouldIntercept(img, value) {
+    if ('jxlSkip' in img.dataset) return false;
+    if (this.jxlObjectUrls.has(value)) return true;
+    return !img.isConnected && this.isJxlUrl(value);
+  }
+
+  /**
+   * Patched src setter: decode intercepted JXL and load the result, otherwise pass through
+   * @param {HTMLImageElement} img
+   * @param {string} value
+   * @param {(src: string) => void} setSrc - The original setter
+   */
+  setImageSrc(img, value, setSrc) {
+    value = String(value);
+    if (!this.shouldIntercept(img, value)) {
+      this.intercepted.delete(img);
+      setSrc(value);
+      return;
+    }
+
+    this.log('Intercepted image src:', value);
+    const state = { url: new URL(value, img.baseURI).href, objectUrl: null, pending: null };
+    this.intercepted.set(img, state);
+    const current = () => this.intercepted.get(img) === state;
+
+    state.pending = this.decodeFor(img, value, {}, (pngUrl) => {
+      // Not JXL after all, or the page set another src meanwhile
+      if (pngUrl === value || !current()) return false;
+      state.objectUrl = pngUrl;
+      setSrc(pngUrl);
+    }).then((applied) => {
+      // Vetoed by a hook or not JXL: let the browser have the original
+      if (!applied && current()) setSrc(value);
+    }).catch(async (err) => {
+      console.error('[JXL Polyfill] Failed to decode:', value, err);
+      if (!current()) return;
+      const fallback = await this.findFallback(img, value, { nativeOnly: true });
+      setSrc(fallback || value);
+    }).finally(() => {
+      state.pending = null;
+    });
+  }
+
+  /**
+   * Patched srcset setter: decode the selected candidate of an intercepted JXL srcset
+   * @param {HTMLImageElement} img
+   * @param {string} value
+   * @param {(srcset: string) => void} setSrcset - The original setter
+   */
+  setImageSrcset(img, value, setSrcset) {
+    value = String(value);
+    // Our own rewrite
+    if (this.srcsetApplied.get(img) === value) {
+      setSrcset(value);
+      return;
+    }
+    // Nothing to decode here; connected images are handled by the observer
+    const hasJxl = parseSrcset(value).some((candidate) => this.isJxlUrl(candidate.url));
+    if (img.isConnected || 'jxlSkip' in img.dataset || !hasJxl) {
+      if (!img.isConnected) this.resetSrcset(img);
+      setSrcset(value);
+      return;
+    }
+
+    this.log('Intercepted image srcset:', value);
+    this.resetSrcset(img);
+    this.srcsetOriginals.set(img, value);
+    const state = { url: null, objectUrl: null, pending: null };
+    this.intercepted.set(img, state);
+    state.pending = this.processSrcset(img).finally(() => {
+      state.pending = null;
+    });
   }
 
   async processImgElement(img) {
+    if (this.isExcluded(img)) return;
+    if (!this.isJxlUrl(img.getAttribute('src')) && !this.hasJxlSrcset(img)) return;
+    if (this.deferUntilVisible(img)) return;
+
+    if (img.hasAttribute('srcset')) {
+      this.processSrcset(img);
+    }
+
     const src = img.getAttribute('src');
     if (!this.isJxlUrl(src)) return;
     if (img.dataset.jxlProcessed) return;
@@ -258,165 +1738,1293 @@ export class JXLPolyfill {
     img.dataset.jxlProcessed = 'true';
     this.log('Processing <img>:', src);
 
-    if (this.options.showLoadingState) {
-      img.style.opacity = '0.5';
+    const placeholder = this.showPlaceholder(img);
+    img.dataset.jxlLoading = '';
+
+    // Object URLs of intermediate passes, released once the final image is shown
+    const passUrls = [];
+    const controller = new AbortController();
+    this.pending.set(img, controller);
+
+    const maxSize = this.renderedSize(img);
+    if (maxSize) {
+      this.renderedSizes.set(img, { url: src, maxSize });
     }
 
+    // decoded, native (not JXL after all), vetoed (by a hook), aborted or failed
+    let outcome = 'vetoed';
     try {
-      const pngUrl = await this.getCachedOrDecode(src);
-      img.src = pngUrl;
+      const options = {
+        onPass: (passBlob) => {
+          const passUrl = URL.createObjectURL(passBlob);
+          passUrls.push(passUrl);
+          img.src = passUrl;
+          this.log('Painted intermediate pass:', src);
+        },
+        signal: controller.signal,
+        priority: this.getPriority(img),
+        animate: this.options.animationPlayer,
+        maxSize,
+      };
+      await this.decodeFor(img, src, options, (pngUrl) => {
+        if (pngUrl === src) {
+          outcome = 'native';
+          return false;
+        }
+        outcome = 'decoded';
+        if (pngUrl.animation) {
+          this.renderedSizes.delete(img);
+          this.mountPlayer(img, pngUrl.animation);
+        } else {
+          img.src = pngUrl;
+        }
+      });
     } catch (err) {
-      console.error('[JXL Polyfill] Failed to decode:', src, err);
+      if (err.name === 'AbortError') {
+        outcome = 'aborted';
+        this.log('Decode cancelled:', src);
+      } else {
+        outcome = 'failed';
+        console.error('[JXL Polyfill] Failed to decode:', src, err);
+      }
     } finally {
-      if (this.options.showLoadingState) {
-        img.style.opacity = '';
+      if (this.pending.get(img) === controller) {
+        this.pending.delete(img);
+        delete img.dataset.jxlLoading;
+      }
+      if (passUrls.length) {
+        img.decode().catch(() => {}).finally(() => passUrls.forEach((url) => URL.revokeObjectURL(url)));
+      }
+    }
+
+    if (outcome === 'decoded' || outcome === 'aborted') return;
+    if (outcome === 'failed' && (await this.applyFallback(img, src))) return;
+
+    // Hand the original back to the browser, unless an intermediate pass is showing
+    if (placeholder && img.getAttribute('src') === placeholder) {
+      this.setOwnSrc(img, src);
+    }
+    if (outcome !== 'vetoed') {
+      this.reportImageFailure(img, src);
+    }
+  }
+
+  /**
+   * Show an <img>'s data-jxl-placeholder while its JXL decodes: a URL (such as a tiny
+   * blurred LQIP data URI) is used as is, anything else is taken as a CSS color.
+   * Pages can style the wait with the `data-jxl-loading` attribute, set meanwhile.
+   * @param {HTMLImageElement} img
+   * @returns {string | null} - The placeholder src, or null if none was shown
+   */
+  showPlaceholder(img) {
+    let value = img.dataset.jxlPlaceholder?.trim();
+    if (!value && this.options.showLoadingState) value = '#e0e0e0';
+    if (!value) return null;
+
+    let placeholder = value;
+    if (!/^(data:|blob:|https?:|\/|\.)/i.test(value)) {
+      if (!CSS.supports('color', value)) {
+        this.log('Ignoring invalid data-jxl-placeholder:', value);
+        return null;
+      }
+      // Solid color at the image's intrinsic size, so the layout doesn't jump once it decodes
+      const width = parseFloat(img.getAttribute('width')) || 1;
+      const height = parseFloat(img.getAttribute('height')) || 1;
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="${value.replace(/"/g, "'")}"/></svg>`;
+      placeholder = `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    }
+
+    this.setOwnSrc(img, placeholder);
+    return img.getAttribute('src');
+  }
+
+  /**
+   * Set an <img>'s src without the observer taking it for a new source from the page
+   * @param {HTMLImageElement} img
+   * @param {string} src
+   */
+  setOwnSrc(img, src) {
+    img.setAttribute('src', src);
+    this.srcApplied.set(img, img.getAttribute('src'));
+  }
+
+  /**
+   * Show the first working fallback of an element whose JXL failed to decode
+   * @param {Element} element - <img> or SVG <image>/<feImage>
+   * @param {string} failedUrl - The JXL that failed
+   * @returns {Promise<boolean>} - Whether a fallback was applied
+   */
+  async applyFallback(element, failedUrl) {
+    const fallback = await this.findFallback(element, failedUrl);
+    if (!fallback) return false;
+
+    this.log('Using fallback:', fallback);
+    if (element.tagName === 'IMG') {
+      // The fallback fires its own load event
+      this.suppressedErrors.delete(element);
+      delete element.dataset.jxlProcessed;
+      this.setOwnSrc(element, fallback);
+      // srcset candidates and <picture> sources still pointing at the failed JXL win over src
+      if (element.hasAttribute('srcset')) {
+        this.srcsetApplied.set(element, fallback);
+        element.setAttribute('srcset', fallback);
+      }
+      const sources = element.parentElement?.tagName === 'PICTURE'
+        ? element.parentElement.querySelectorAll(':scope > source')
+        : [];
+      for (const source of sources) {
+        const selected = this.srcsetSelections.get(source);
+        if (!selected || !sameUrl(selected, failedUrl)) continue;
+        this.srcsetApplied.set(source, fallback);
+        source.setAttribute('srcset', fallback);
+        source.removeAttribute('type');
+      }
+      this.processImgElement(element);
+    } else {
+      element.setAttribute('href', fallback);
+    }
+    return true;
+  }
+
+  /**
+   * Walk an element's fallback chain, once per element: data-jxl-fallback, the other
+   * sources of its <picture> in order, the `fallbackUrl` rewrites, then `conversionEndpoint`.
+   * Non-JXL candidates must load natively to be picked; JXL ones are decoded like any source.
+   * @param {Element} element
+   * @param {string} failedUrl
+   * @param {{once?: boolean, nativeOnly?: boolean}} [options] - `once: false` allows walking the
+   *   chain again for the same element; `nativeOnly` skips JXL candidates
+   * @returns {Promise<string | null>}
+   */
+  async findFallback(element, failedUrl, { once = true, nativeOnly = false } = {}) {
+    if (once) {
+      if (this.fallbacksUsed.has(element)) return null;
+      this.fallbacksUsed.add(element);
+    }
+
+    const candidates = [];
+    if (element.dataset.jxlFallback) {
+      candidates.push(element.dataset.jxlFallback);
+    }
+
+    if (element.parentElement?.tagName === 'PICTURE') {
+      for (const source of element.parentElement.querySelectorAll(':scope > source')) {
+        if (source.media && !window.matchMedia(source.media).matches) continue;
+        const srcset = this.srcsetOriginals.get(source) ?? source.getAttribute('srcset');
+        const usable = parseSrcset(srcset || '').filter((candidate) => !this.isJxlUrl(candidate.url));
+        if (!usable.length) continue;
+        candidates.push(selectCandidate(usable, {
+          sizes: source.getAttribute('sizes'),
+          dpr: window.devicePixelRatio || 1,
+          viewportWidth: window.innerWidth || document.documentElement.clientWidth,
+        }).url);
+      }
+    }
+
+    if (this.options.fallbackUrl) {
+      candidates.push(...[this.options.fallbackUrl(failedUrl, element) ?? []].flat());
+    }
+
+    if (this.options.conversionEndpoint) {
+      const absolute = new URL(failedUrl, document.baseURI).href;
+      candidates.push(this.options.conversionEndpoint.replace('{url}', encodeURIComponent(absolute)));
+    }
+
+    const tried = new Set([new URL(failedUrl, document.baseURI).href]);
+    for (const candidate of candidates) {
+      const absolute = new URL(candidate, document.baseURI).href;
+      if (tried.has(absolute)) continue;
+      tried.add(absolute);
+
+      if (this.isJxlUrl(candidate) ? !nativeOnly : await canLoadNatively(candidate)) return candidate;
+      this.log('Fallback unavailable:', candidate);
+    }
+    return null;
+  }
+
+  /**
+   * Whether an element is left alone: it or an ancestor (including shadow hosts and iframes)
+   * has data-jxl-skip, or it is outside the `root` subtree or doesn't match `selector`. A <source> is judged by
+   * its <picture>'s <img>.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isExcluded(element) {
+    const target = this.visibilityTarget(element);
+    if (closestAcross(element, '[data-jxl-skip]') || closestAcross(target, '[data-jxl-skip]')) return true;
+    if (this.root !== document && !containsAcross(this.root, target)) return true;
+    return !!this.options.selector && !target.matches(this.options.selector);
+  }
+
+  /**
+   * Show an animated JXL in a canvas player inserted after the <img>, which is hidden
+   * (and keeps its src, so page scripts still see the original element)
+   * @param {HTMLImageElement} img
+   * @param {JxlFrameSource} frames - From openAnimation()
+   */
+  mountPlayer(img, frames) {
+    this.unmountPlayer(img);
+
+    const canvas = document.createElement('canvas');
+    canvas.className = img.className;
+    canvas.style.cssText = img.style.cssText;
+    // The canvas bitmap takes the animation's size; keep the <img>'s declared size
+    for (const dimension of ['width', 'height']) {
+      const value = img.getAttribute(dimension);
+      if (value && !canvas.style[dimension]) {
+        canvas.style[dimension] = /^\d+$/.test(value) ? `${value}px` : value;
       }
     }
+    canvas.setAttribute('role', 'img');
+    if (img.alt) canvas.setAttribute('aria-label', img.alt);
+    if (img.title) canvas.title = img.title;
+
+    const display = img.style.display;
+    img.style.display = 'none';
+    img.after(canvas);
+
+    const player = new JxlAnimationPlayer(canvas, frames);
+    this.players.set(img, { player, canvas, display });
+    this.stats.imagesConverted++;
+    this.log('Playing animation:', img.getAttribute('src'), `(${player.frameCount} frames)`);
+  }
+
+  /**
+   * Remove an image's canvas player and show the <img> again
+   * @param {HTMLImageElement} img
+   */
+  unmountPlayer(img) {
+    const entry = this.players.get(img);
+    if (!entry) return;
+
+    entry.player.destroy();
+    entry.canvas.remove();
+    img.style.display = entry.display;
+    delete img.dataset.jxlProcessed;
+    this.players.delete(img);
+  }
+
+  /**
+   * The canvas player showing an animated <img>, for play/pause/seek control
+   * @param {HTMLImageElement} img
+   * @returns {JxlAnimationPlayer | null}
+   */
+  getAnimationPlayer(img) {
+    return this.players.get(img)?.player ?? null;
+  }
+
+  /**
+   * Capture-phase `error` listener on the document: the browser failed to load an image,
+   * possibly because it is JXL under a URL we didn't recognize
+   * @param {Event} event
+   */
+  handleImageError(event) {
+    const img = event.target;
+    // Not instanceof: images in iframes come from another realm
+    if (img?.tagName !== 'IMG') return;
+
+    const url = img.currentSrc || img.src;
+    if (!url || url.startsWith('blob:') || this.givenUp.get(img) === url) return;
+    if (this.isExcluded(img)) return;
+
+    if (this.recoveryQueue) {
+      this.recoveryQueue.add(img);
+      return;
+    }
+
+    // For likely JXL, keep the failure from the page's onerror handlers; the decoded
+    // image fires its own load event, or reportImageFailure re-dispatches the error
+    const suppress = this.isJxlUrl(url);
+    if (suppress) {
+      event.stopImmediatePropagation();
+    }
+    this.recoverImage(img, url, suppress);
   }
 
-  async processBackgroundImage(element) {
-    const style = getComputedStyle(element);
-    const bgImage = style.backgroundImage;
+  /**
+   * Sniff a failed image and swap in the decoded version if it is JXL
+   * @param {HTMLImageElement} img
+   * @param {string} url - The URL that failed (currentSrc)
+   * @param {boolean} suppressed - Whether the original error event was held back
+   */
+  async recoverImage(img, url, suppressed) {
+    if (suppressed) {
+      this.suppressedErrors.add(img);
+    }
+
+    // Plain JXL src: the regular path owns it (and is likely already decoding it)
+    if (!img.hasAttribute('srcset') && this.isJxlUrl(img.getAttribute('src'))) {
+      this.processImgElement(img);
+      return;
+    }
 
-    if (!bgImage || bgImage === 'none') return;
+    // Plain 404s and broken third-party images are none of our business
+    if (!(await this.mayBeJxl(url))) {
+      this.log('Failed image is not JXL, leaving it to the page:', url);
+      this.reportImageFailure(img, url);
+      return;
+    }
 
-    const urlMatch = bgImage.match(/url\(['"]?([^'"()]+\.jxl[^'"()]*)['"]?\)/i);
-    if (!urlMatch) return;
-    if (element.dataset.jxlBgProcessed) return;
+    this.log('Retrying failed image:', url);
+    try {
+      const applied = await this.decodeFor(img, url, { priority: this.getPriority(img) }, (pngUrl) => {
+        // Not JXL after all, or the page moved on to another source meanwhile
+        if (pngUrl === url || (img.currentSrc || img.src) !== url) return false;
+        this.applyRecoveredImage(img, url, pngUrl);
+      });
+      if (!applied && (img.currentSrc || img.src) === url) {
+        // Not JXL after all, or vetoed by a hook: the failure stands, with no JXL to fall back from
+        this.reportImageFailure(img, url);
+      }
+    } catch (err) {
+      // The JXL failed to fetch or decode: try the fallback chain
+      this.log('Failed to recover image:', url, err);
+      if (!(await this.applyFallback(img, url))) {
+        this.reportImageFailure(img, url);
+      }
+    }
+  }
 
-    element.dataset.jxlBgProcessed = 'true';
-    const jxlUrl = urlMatch[1];
-    this.log('Processing background-image:', jxlUrl);
+  /**
+   * Whether a failed image could be JXL: a candidate URL, or a response declared or sniffed as
+   * JXL. Quiet: a failed fetch (404, CORS) just means no.
+   * @param {string} url
+   * @returns {Promise<boolean>}
+   */
+  async mayBeJxl(url) {
+    if (this.isJxlUrl(url)) return true;
+    if (this.notJxl.has(url)) return false;
 
     try {
-      const pngUrl = await this.getCachedOrDecode(jxlUrl);
-      element.style.backgroundImage = bgImage.replace(urlMatch[0], `url("${pngUrl}")`);
+      const response = await fetch(url);
+      if (!response.ok || !response.body) {
+        response.body?.cancel();
+        return false;
+      }
+      const { head, stream } = await peekStream(response.body);
+      stream.cancel();
+      if (isJxlContentType(response.headers.get('Content-Type')) || isJxlSignature(head)) return true;
+      this.notJxl.add(url);
+      return false;
     } catch (err) {
-      console.error('[JXL Polyfill] Failed to decode background:', jxlUrl, err);
+      this.log('Could not sniff failed image:', url, err.message || err);
+      return false;
     }
   }
 
+  /**
+   * Show a recovered image's decode in place of the source that failed
+   * @param {HTMLImageElement} img
+   * @param {string} url - The failed URL
+   * @param {string} pngUrl - Object URL of the decoded image
+   */
+  applyRecoveredImage(img, url, pngUrl) {
+    this.suppressedErrors.delete(img);
+    if (img.hasAttribute('srcset')) {
+      // The failed URL came from the srcset: replace that candidate, keeping its descriptor
+      const rewritten = serializeSrcset(
+        parseSrcset(img.getAttribute('srcset')).map((candidate) =>
+          new URL(candidate.url, document.baseURI).href === url ? { ...candidate, url: pngUrl } : candidate
+        )
+      );
+      this.srcsetApplied.set(img, rewritten);
+      img.setAttribute('srcset', rewritten);
+    } else {
+      img.dataset.jxlProcessed = 'true';
+      img.src = pngUrl;
+    }
+  }
+
+  /**
+   * Give up on an image, re-dispatching the error event we held back from the page
+   * @param {HTMLImageElement} img
+   * @param {string} url
+   */
+  reportImageFailure(img, url) {
+    this.givenUp.set(img, img.currentSrc || url);
+    if (this.suppressedErrors.has(img)) {
+      this.suppressedErrors.delete(img);
+      img.dispatchEvent(new Event('error'));
+    }
+  }
+
+  /**
+   * Rewrite JXL images in an element's inline style
+   * @param {Element} element
+   */
+  async processInlineStyle(element) {
+    if (!element.style?.length || this.isExcluded(element)) return;
+    if (!this.hasJxlCss(element.style)) return;
+    if (this.deferUntilVisible(element)) return;
+
+    await this.processDeclaration(element.style, element, element.baseURI, this.getPriority(element));
+  }
+
+  /**
+   * Rewrite JXL images in the rules of the stylesheets (including @media, @supports and
+   * @import rules) and adopted stylesheets of the document, watched shadow roots and iframes.
+   * Only rules in effect are decoded: their media query matches and an element in scope
+   * matches their selector; the others wait until they are (see processStyleRule).
+   * Rules are only touched once; call again after changing rules through the CSSOM.
+   */
+  processStylesheets() {
+    for (const scope of new Set([this.root, ...this.observers.keys()])) {
+      this.processScopeStylesheets(scope);
+    }
+  }
+
+  /**
+   * @param {Document | ShadowRoot | Element} scope - For an element, its document's stylesheets
+   */
+  processScopeStylesheets(scope) {
+    const sheetRoot = scope.nodeType === Node.ELEMENT_NODE ? scope.getRootNode() : scope;
+    // Adopted sheets have no owner node: report their decodes on the host or document
+    const owner = sheetRoot.host || sheetRoot.documentElement;
+    if (!sheetRoot.styleSheets || !owner) return;
+    for (const sheet of [...sheetRoot.styleSheets, ...(sheetRoot.adoptedStyleSheets || [])]) {
+      this.processStylesheet(sheet, sheet.ownerNode || owner);
+    }
+  }
+
+  /**
+   * @param {CSSStyleSheet} sheet
+   * @param {Element} [owner] - Element decode events are dispatched on (for @import, the importer's)
+   */
+  processStylesheet(sheet, owner = sheet?.ownerNode || document.documentElement) {
+    if (!sheet || owner.closest?.('[data-jxl-skip]')) return;
+    if (this.deferInactive(sheet, () => this.processStylesheet(sheet, owner))) return;
+
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      this.log('Cannot read cross-origin stylesheet (serve it with CORS):', sheet.href);
+      return;
+    }
+    this.processRules(rules, owner, sheet.href || owner.baseURI);
+  }
+
+  /**
+   * Process the stylesheets of an added <style> or <link rel="stylesheet">, and of those inside it
+   * @param {Element} node
+   */
+  watchStylesheetNode(node) {
+    const owners = node.matches('style, link[rel~="stylesheet"]') ? [node] : [];
+    owners.push(...node.querySelectorAll('style, link[rel~="stylesheet"]'));
+    for (const owner of owners) {
+      if (owner.sheet) {
+        this.processStylesheet(owner.sheet);
+      } else {
+        // A <link>'s sheet only exists once loaded
+        owner.addEventListener('load', () => this.processStylesheet(owner.sheet), { once: true });
+      }
+    }
+  }
+
+  /**
+   * @param {CSSRuleList} rules
+   * @param {Element} owner
+   * @param {string} baseUrl - URL relative references in the rules resolve against
+   */
+  processRules(rules, owner, baseUrl) {
+    for (const rule of rules) {
+      if (this.deferInactive(rule, () => this.processRules([rule], owner, baseUrl))) continue;
+      if (rule.styleSheet) {
+        this.processStylesheet(rule.styleSheet, owner);
+      }
+      if (rule.style && this.hasJxlCss(rule.style)) {
+        this.processStyleRule(rule, owner, baseUrl);
+      }
+      // Grouping (@media, @supports, @layer, @container) and nested rules
+      if (rule.cssRules) {
+        this.processRules(rule.cssRules, owner, baseUrl);
+      }
+    }
+  }
+
+  /**
+   * Hold back a stylesheet or rule whose condition doesn't hold: a @media (or @import, or
+   * sheet) media query that doesn't match is retried once it does; a failing @supports
+   * condition never changes
+   * @param {CSSStyleSheet | CSSRule} ruleOrSheet
+   * @param {() => void} retry - Processes it again
+   * @returns {boolean} - Whether it was held back
+   */
+  deferInactive(ruleOrSheet, retry) {
+    if (typeof CSSSupportsRule !== 'undefined' && ruleOrSheet instanceof CSSSupportsRule) {
+      return !CSS.supports(ruleOrSheet.conditionText);
+    }
+
+    const mediaText = ruleOrSheet.media?.mediaText;
+    if (!mediaText || typeof matchMedia !== 'function') return false;
+    const query = matchMedia(mediaText);
+    if (query.matches) return false;
+
+    if (!this.inactiveRules.has(ruleOrSheet)) {
+      this.inactiveRules.add(ruleOrSheet);
+      const onChange = () => {
+        if (!query.matches) return;
+        query.removeEventListener('change', onChange);
+        this.inactiveRules.delete(ruleOrSheet);
+        retry();
+      };
+      query.addEventListener('change', onChange);
+      this.cleanups.push(() => query.removeEventListener('change', onChange));
+    }
+    return true;
+  }
+
+  /**
+   * Decode a style rule's JXL images once an element in scope (under `root`, matching
+   * `selector`, not skipped) matches its selector; until then the rule waits, rechecked
+   * as elements are added or change class
+   * @param {CSSStyleRule} rule
+   * @param {Element} owner
+   * @param {string} baseUrl
+   */
+  processStyleRule(rule, owner, baseUrl) {
+    if (!this.isRuleInUse(rule, owner)) {
+      this.unusedRules.set(rule, { owner, baseUrl });
+      return;
+    }
+    this.unusedRules.delete(rule);
+    this.processDeclaration(rule.style, owner, baseUrl, 0);
+  }
+
+  /**
+   * @param {CSSStyleRule} rule
+   * @param {Element} owner - The rule's <style>/<link>, or the host or root element of an adopted sheet
+   * @returns {boolean} - Whether an element in scope matches the rule (or it can't be told)
+   */
+  isRuleInUse(rule, owner) {
+    // Nested rules: their selectors are relative, so go by the outermost style rule
+    if (rule.parentRule?.selectorText !== undefined) return this.isRuleInUse(rule.parentRule, owner);
+
+    const selector = matchableSelector(rule);
+    if (!selector) return true;
+    // The tree the sheet styles: its own, or the shadow root that adopted it
+    const trees = [owner.getRootNode(), owner.shadowRoot].filter(Boolean);
+    try {
+      return trees.some((tree) =>
+        Array.prototype.some.call(tree.querySelectorAll(selector), (element) => !this.isExcluded(element))
+      );
+    } catch {
+      // A selector querySelector() doesn't take
+      return true;
+    }
+  }
+
+  /**
+   * Recheck the rules no element used, once per frame of DOM changes
+   */
+  scheduleRuleCheck() {
+    if (this.ruleCheckScheduled) return;
+    this.ruleCheckScheduled = true;
+    requestAnimationFrame(() => {
+      this.ruleCheckScheduled = false;
+      for (const [rule, { owner, baseUrl }] of this.unusedRules) {
+        if (!rule.parentStyleSheet || !owner.isConnected) {
+          // Removed from its sheet, or the sheet from the page
+          this.unusedRules.delete(rule);
+        } else {
+          this.processStyleRule(rule, owner, baseUrl);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {CSSStyleDeclaration} style
+   * @returns {boolean} - Whether any image property references a JXL
+   */
+  hasJxlCss(style) {
+    return CSS_IMAGE_PROPERTIES.some((property) =>
+      findCssUrls(style.getPropertyValue(property)).some((token) => this.isJxlUrl(token.url))
+    );
+  }
+
+  /**
+   * Decode the JXL images of a declaration's image properties and write each object URL
+   * back as it arrives, keeping the other layers of multi-image values. A failed image is
+   * replaced with its first working fallback (see findFallback), if any. The declaration
+   * holds the object URLs, so the cache keeps them while it references them.
+   * @param {CSSStyleDeclaration} style - A rule's or an element's inline style
+   * @param {Element} owner - The styled element, or the <style>/<link> of a rule
+   * @param {string} baseUrl - URL relative references resolve against
+   * @param {number} priority - Decode queue priority
+   */
+  async processDeclaration(style, owner, baseUrl, priority) {
+    let handled = this.cssHandled.get(style);
+    if (!handled) {
+      handled = new Map();
+      this.cssHandled.set(style, handled);
+    }
+
+    await Promise.all(CSS_IMAGE_PROPERTIES.map(async (property) => {
+      const value = style.getPropertyValue(property);
+      // Already in flight, failed, or our own rewrite
+      if (!value || handled.get(property) === value) return;
+
+      const urls = [...new Set(findCssUrls(value).map((token) => token.url))].filter((url) => this.isJxlUrl(url));
+      if (!urls.length) return;
+      handled.set(property, value);
+      this.log(`Processing CSS ${property}:`, urls);
+
+      // What the property holds: the authored value, then our rewrites of it
+      let current = value;
+      const replace = (url, replacement) => {
+        // The page changed the property meanwhile
+        if (style.getPropertyValue(property) !== current) return false;
+        current = rewriteCssUrls(current, new Map([[url, replacement]]));
+        handled.set(property, current);
+        style.setProperty(property, current, style.getPropertyPriority(property));
+        return true;
+      };
+
+      await Promise.all(urls.map(async (url) => {
+        const absolute = new URL(url, baseUrl).href;
+        try {
+          await this.decodeFor(owner, absolute, { priority, holder: style }, (pngUrl) => {
+            if (pngUrl === absolute) return false;
+            return replace(url, pngUrl);
+          });
+        } catch (err) {
+          console.error('[JXL Polyfill] Failed to decode CSS image:', absolute, err);
+          // Rules share their <style>/<link>, so only an element's own chain is limited to once
+          const fallback = await this.findFallback(owner, absolute, { once: owner.style === style, nativeOnly: true });
+          if (fallback) replace(url, fallback);
+        }
+      }));
+    }));
+  }
+
   async processSourceElement(source) {
-    const srcset = source.getAttribute('srcset');
-    if (!this.isJxlUrl(srcset)) return;
-    if (source.dataset.jxlProcessed) return;
+    if (this.isExcluded(source)) return;
+    if (!this.hasJxlSrcset(source)) return;
+    if (this.deferUntilVisible(source)) return;
+    await this.processSrcset(source);
+  }
+
+  /**
+   * Decode the JXL candidate the browser would pick from an element's srcset and
+   * rewrite the srcset with its object URL, keeping descriptors. Other JXL
+   * candidates are dropped so the browser can't pick one it cannot render.
+   * @param {HTMLImageElement | HTMLSourceElement} element
+   */
+  async processSrcset(element) {
+    // The live attribute holds object URLs once rewritten; always select from the authored value
+    const srcset = this.srcsetOriginals.get(element) ?? element.getAttribute('srcset');
+    const candidates = parseSrcset(srcset);
+    if (!candidates.some((candidate) => this.isJxlUrl(candidate.url))) return;
+
+    const selected = selectCandidate(candidates, {
+      sizes: element.getAttribute('sizes'),
+      dpr: window.devicePixelRatio || 1,
+      viewportWidth: window.innerWidth || document.documentElement.clientWidth,
+    });
+    if (this.srcsetSelections.get(element) === selected.url) return;
+
+    this.srcsetOriginals.set(element, srcset);
+    this.srcsetSelections.set(element, selected.url);
+    this.srcsetElements.add(element);
+
+    if (!this.isJxlUrl(selected.url)) {
+      this.applySrcset(element, candidates, selected, null);
+      return;
+    }
+
+    this.log(`Processing <${element.tagName.toLowerCase()} srcset>:`, selected.url, selected.descriptor);
+    try {
+      await this.decodeFor(element, selected.url, { priority: this.getPriority(element) }, (decodedUrl) => {
+        // A resize or attribute change picked another candidate meanwhile
+        if (this.srcsetSelections.get(element) !== selected.url) return false;
+        this.applySrcset(element, candidates, selected, decodedUrl);
+      });
+    } catch (err) {
+      console.error('[JXL Polyfill] Failed to decode srcset candidate:', selected.url, err);
+    }
+  }
+
+  /**
+   * Write back a srcset with the selected candidate's decode and without the other JXL candidates
+   * @param {HTMLImageElement | HTMLSourceElement} element
+   * @param {import('./srcset.js').SrcsetCandidate[]} candidates - The authored candidates
+   * @param {import('./srcset.js').SrcsetCandidate} selected
+   * @param {string | null} decodedUrl - Object URL for the selected candidate, if it was decoded
+   */
+  applySrcset(element, candidates, selected, decodedUrl) {
+    const rewritten = serializeSrcset(
+      candidates
+        .filter((candidate) => candidate === selected || !this.isJxlUrl(candidate.url))
+        .map((candidate) => (candidate === selected && decodedUrl ? { ...candidate, url: decodedUrl } : candidate))
+    );
+    this.srcsetApplied.set(element, rewritten);
+    element.setAttribute('srcset', rewritten);
+
+    if (element.tagName === 'SOURCE' && element.type === 'image/jxl') {
+      element.type = 'image/png';
+    }
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {boolean} - Whether the element's srcset (authored or live) has a JXL candidate
+   */
+  hasJxlSrcset(element) {
+    const srcset = this.srcsetOriginals.get(element) ?? element.getAttribute('srcset');
+    return parseSrcset(srcset).some((candidate) => this.isJxlUrl(candidate.url));
+  }
+
+  /**
+   * Forget the srcset state of an element whose srcset/sizes were changed by the page
+   * @param {Element} element
+   */
+  resetSrcset(element) {
+    this.srcsetOriginals.delete(element);
+    this.srcsetSelections.delete(element);
+    this.srcsetApplied.delete(element);
+  }
+
+  /**
+   * Size to decode an <img> at with decodeToRenderedSize: its rendered width (or height,
+   * when it has no width) times devicePixelRatio, rounded up to RENDERED_SIZE_STEP.
+   * Only images with width/height attributes qualify; without them the box of a not yet
+   * decoded image is the broken-image placeholder, not the size it will be shown at.
+   * @param {HTMLImageElement} img
+   * @returns {{width: number, height: number} | null} - null to decode at full size
+   */
+  renderedSize(img) {
+    if (!this.options.decodeToRenderedSize) return null;
+    if (!img.hasAttribute('width') && !img.hasAttribute('height')) return null;
+
+    // CSS may override the attributes; they only stand in until the image is laid out
+    const rect = img.getBoundingClientRect();
+    const width = rect.width || Number.parseFloat(img.getAttribute('width')) || 0;
+    const height = width ? 0 : rect.height || Number.parseFloat(img.getAttribute('height')) || 0;
+    if (!width && !height) return null;
+
+    const dpr = window.devicePixelRatio || 1;
+    const round = (px) => (px ? Math.ceil((px * dpr) / RENDERED_SIZE_STEP) * RENDERED_SIZE_STEP : 0);
+    return { width: round(width), height: round(height) };
+  }
 
-    source.dataset.jxlProcessed = 'true';
-    this.log('Processing <source srcset>:', srcset);
+  /**
+   * Replace a downscaled <img> with a larger decode after its rendered size grew
+   * @param {HTMLImageElement} img
+   * @param {string} url - The JXL source
+   * @param {{width: number, height: number}} maxSize
+   */
+  async redecodeAtSize(img, url, maxSize) {
+    const decoded = { url, maxSize };
+    this.renderedSizes.set(img, decoded);
+    this.log('Rendered size grew, re-decoding:', url, maxSize);
 
     try {
-      const pngUrl = await this.getCachedOrDecode(srcset);
-      source.srcset = pngUrl;
-      source.type = 'image/png';
+      await this.decodeFor(img, url, { maxSize, priority: this.getPriority(img) }, (pngUrl) => {
+        // Skip if the page changed the image meanwhile
+        if (this.renderedSizes.get(img) !== decoded || pngUrl === url) return false;
+        img.src = pngUrl;
+      });
     } catch (err) {
-      console.error('[JXL Polyfill] Failed to decode source:', srcset, err);
+      console.error('[JXL Polyfill] Failed to decode:', url, err);
     }
   }
 
+  watchViewport() {
+    const reevaluate = () => {
+      for (const element of this.srcsetElements) {
+        if (!element.isConnected) {
+          this.srcsetElements.delete(element);
+          continue;
+        }
+        this.processSrcset(element);
+      }
+      // Downscaled images that are now shown larger than they were decoded
+      for (const [img, decoded] of this.renderedSizes) {
+        if (!img.isConnected) {
+          this.renderedSizes.delete(img);
+          continue;
+        }
+        const maxSize = this.renderedSize(img);
+        if (maxSize && (maxSize.width > decoded.maxSize.width || maxSize.height > decoded.maxSize.height)) {
+          this.redecodeAtSize(img, decoded.url, maxSize);
+        }
+      }
+    };
+
+    let resizeTimer = null;
+    const onResize = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(reevaluate, 150);
+    };
+    window.addEventListener('resize', onResize);
+
+    // DPR changes (zoom, moving to another monitor) don't always fire resize:
+    // watch a resolution query for the current DPR and re-arm it after each change
+    let dprQuery = null;
+    const onDprChange = () => {
+      watchDpr();
+      reevaluate();
+    };
+    const watchDpr = () => {
+      dprQuery = matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      dprQuery.addEventListener('change', onDprChange, { once: true });
+    };
+    watchDpr();
+
+    this.cleanups.push(() => {
+      clearTimeout(resizeTimer);
+      window.removeEventListener('resize', onResize);
+      dprQuery.removeEventListener('change', onDprChange);
+    });
+  }
+
   async processSVGImage(element) {
     const href = element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
     if (!this.isJxlUrl(href)) return;
     if (element.dataset.jxlProcessed) return;
+    if (this.isExcluded(element)) return;
+    if (this.deferUntilVisible(element)) return;
 
     element.dataset.jxlProcessed = 'true';
     this.log('Processing SVG image:', href);
 
     try {
-      const pngUrl = await this.getCachedOrDecode(href);
-      element.setAttribute('href', pngUrl);
+      await this.decodeFor(element, href, { priority: this.getPriority(element) }, (pngUrl) => {
+        if (pngUrl === href) return false;
+        element.setAttribute('href', pngUrl);
+      });
     } catch (err) {
       console.error('[JXL Polyfill] Failed to decode SVG image:', href, err);
+      this.applyFallback(element, href);
+    }
+  }
+
+  /**
+   * Paint a <canvas data-jxl-src> with its JXL, decoded to an ImageBitmap on a worker, so the
+   * main thread doesn't decode anything
+   * @param {HTMLCanvasElement} canvas
+   */
+  async processCanvasElement(canvas) {
+    const src = canvas.dataset.jxlSrc;
+    if (!src || canvas.dataset.jxlProcessed) return;
+    if (this.isExcluded(canvas)) return;
+    if (this.deferUntilVisible(canvas)) return;
+
+    canvas.dataset.jxlProcessed = 'true';
+    this.log('Processing <canvas>:', src);
+
+    const controller = new AbortController();
+    this.pending.set(canvas, controller);
+    const { signal } = controller;
+
+    try {
+      let loading = null;
+      await this.decodeFor(canvas, src, { bitmap: true, signal, priority: this.getPriority(canvas) }, (result) => {
+        if (signal.aborted) {
+          result.bitmap?.close();
+          return false;
+        }
+        if (result.bitmap) {
+          renderBitmap(canvas, result.bitmap);
+          return;
+        }
+        // A cached decode, or not JXL after all: the browser decodes it off the main thread
+        loading = fetch(result, { signal })
+          .then((response) => response.blob())
+          .then((blob) => createImageBitmap(blob))
+          .then((bitmap) => (signal.aborted ? bitmap.close() : renderBitmap(canvas, bitmap)));
+      });
+      await loading;
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        this.log('Decode cancelled:', src);
+      } else {
+        console.error('[JXL Polyfill] Failed to decode canvas image:', src, err);
+      }
+    } finally {
+      if (this.pending.get(canvas) === controller) this.pending.delete(canvas);
+    }
+  }
+
+  startLazyObserver() {
+    if (typeof IntersectionObserver === 'undefined') return;
+
+    this.lazyObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+
+        this.lazyObserver.unobserve(entry.target);
+        this.revealed.add(entry.target);
+
+        const waiting = this.deferred.get(entry.target);
+        this.deferred.delete(entry.target);
+        waiting?.forEach((element) => this.processElement(element));
+      }
+    }, { rootMargin: this.options.rootMargin });
+  }
+
+  /**
+   * Postpone processing until the element nears the viewport. Applies to
+   * loading="lazy" images, or to everything with the `lazy` option;
+   * fetchpriority="high" is never deferred.
+   * @param {Element} element
+   * @returns {boolean} - true if deferred (processElement runs again once visible)
+   */
+  deferUntilVisible(element) {
+    if (!this.lazyObserver) return false;
+
+    const target = this.visibilityTarget(element);
+    if (this.revealed.has(target)) return false;
+
+    const lazy = this.options.lazy || target.getAttribute('loading') === 'lazy';
+    if (!lazy || target.getAttribute('fetchpriority') === 'high') return false;
+
+    const waiting = this.deferred.get(target);
+    if (waiting) {
+      waiting.add(element);
+    } else {
+      this.deferred.set(target, new Set([element]));
+      this.lazyObserver.observe(target);
     }
+    return true;
   }
 
-  processExistingElements() {
-    // Process <img> elements
-    document.querySelectorAll('img').forEach((img) => this.processImgElement(img));
+  /**
+   * The element whose layout box stands for this one; <source> has none, so use its <picture>'s <img>
+   * @param {Element} element
+   * @returns {Element}
+   */
+  visibilityTarget(element) {
+    if (element.tagName === 'SOURCE') {
+      return element.parentElement?.querySelector('img') || element;
+    }
+    return element;
+  }
+
+  /**
+   * Decode queue priority: fetchpriority="high" first, then elements in the viewport
+   * @param {Element} element
+   * @returns {number}
+   */
+  getPriority(element) {
+    const target = this.visibilityTarget(element);
+    const hint = target.getAttribute('fetchpriority');
+    if (hint === 'high') return 2;
+    if (hint === 'low') return -1;
+
+    const rect = target.getBoundingClientRect();
+    const inViewport =
+      rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+    return inViewport ? 1 : 0;
+  }
+
+  /**
+   * Route an element to the matching process* method
+   * @param {Element} element
+   */
+  processElement(element) {
+    switch (element.tagName) {
+      case 'IMG':
+        return this.processImgElement(element);
+      case 'SOURCE':
+        return this.processSourceElement(element);
+      case 'IMAGE':
+      case 'FEIMAGE':
+      case 'image':
+      case 'feImage':
+        return this.processSVGImage(element);
+      case 'CANVAS':
+        return this.processCanvasElement(element);
+      default:
+        return this.processInlineStyle(element);
+    }
+  }
+
+  /**
+   * Process the elements already in a scope, and discover the shadow roots and iframes inside
+   * @param {Document | ShadowRoot | Element} scope
+   */
+  processExistingElements(scope) {
+    // Process <img> elements, starting the fetches of the most important ones first
+    [...scope.querySelectorAll('img')]
+      .map((img) => ({ img, priority: this.getPriority(img) }))
+      .sort((a, b) => b.priority - a.priority)
+      .forEach(({ img }) => this.processImgElement(img));
 
     // Process CSS backgrounds
     if (this.options.handleCSSBackgrounds) {
-      document.querySelectorAll('*').forEach((el) => this.processBackgroundImage(el));
+      this.processScopeStylesheets(scope);
+      if (scope.nodeType === Node.ELEMENT_NODE) this.processInlineStyle(scope);
+      scope.querySelectorAll('[style]').forEach((el) => this.processInlineStyle(el));
     }
 
     // Process <source> elements
     if (this.options.handleSourceElements) {
-      document.querySelectorAll('source[srcset]').forEach((source) =>
+      scope.querySelectorAll('source[srcset]').forEach((source) =>
         this.processSourceElement(source)
       );
     }
 
     // Process SVG elements
     if (this.options.handleSVGElements) {
-      document.querySelectorAll('image, feImage').forEach((el) =>
+      scope.querySelectorAll('image, feImage').forEach((el) =>
         this.processSVGImage(el)
       );
     }
+
+    scope.querySelectorAll('canvas[data-jxl-src]').forEach((canvas) => this.processCanvasElement(canvas));
+
+    this.discoverScopes(scope);
   }
 
-  startObserver() {
-    this.observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        // Handle added nodes
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+  /**
+   * Start handling a scope: watch it with its own MutationObserver and process what is already there
+   * @param {Document | ShadowRoot | Element} scope - The document or `root`, an open shadow root,
+   *   or a same-origin iframe's document
+   */
+  addScope(scope) {
+    if (this.observers.has(scope)) return;
 
-          if (node.tagName === 'IMG') {
-            this.processImgElement(node);
-          } else if (node.tagName === 'SOURCE') {
-            this.processSourceElement(node);
-          } else if (node.tagName === 'IMAGE' || node.tagName === 'FEIMAGE') {
-            this.processSVGImage(node);
-          }
+    const observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+    observer.observe(scope.nodeType === Node.DOCUMENT_NODE ? scope.documentElement : scope, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['src', 'srcset', 'sizes', 'href', 'xlink:href', 'style', 'class', 'data-jxl-src'],
+    });
+    this.observers.set(scope, observer);
 
-          // Check descendants
-          node.querySelectorAll?.('img')?.forEach((img) => this.processImgElement(img));
+    // An iframe's document has its own error events and attachShadow
+    if (scope.nodeType === Node.DOCUMENT_NODE && scope !== document) {
+      this.log('Watching iframe document:', scope.URL);
+      if (this.options.recoverFailedImages) {
+        scope.addEventListener('error', this.onImageError, true);
+        this.cleanups.push(() => scope.removeEventListener('error', this.onImageError, true));
+      }
+      if (this.options.shadowDom && scope.defaultView) {
+        this.patchAttachShadow(scope.defaultView);
+      }
+      if (this.interceptsImages() && scope.defaultView) {
+        this.patchImagePrototype(scope.defaultView);
+      }
+    }
 
-          if (this.options.handleSourceElements) {
-            node.querySelectorAll?.('source[srcset]')?.forEach((source) =>
-              this.processSourceElement(source)
-            );
-          }
+    this.processExistingElements(scope);
+  }
 
-          if (this.options.handleSVGElements) {
-            node.querySelectorAll?.('image, feImage')?.forEach((el) =>
-              this.processSVGImage(el)
-            );
-          }
+  /**
+   * Stop watching a scope, and revoke the evicted object URLs its elements no longer hold
+   * (those still held are revoked by a later sweep, once their elements are collected)
+   * @param {Document | ShadowRoot} scope
+   */
+  removeScope(scope) {
+    this.observers.get(scope)?.disconnect();
+    this.observers.delete(scope);
+    this.cache.sweep();
+  }
+
+  /**
+   * Drop the scopes of shadow hosts and iframes no longer in the document (moved
+   * ones are discovered again when re-added)
+   */
+  pruneScopes() {
+    for (const scope of this.observers.keys()) {
+      const gone = scope.nodeType === Node.DOCUMENT_NODE
+        ? scope !== document && !scope.defaultView?.frameElement?.isConnected
+        : scope.host && !scope.host.isConnected;
+      if (gone) this.removeScope(scope);
+    }
+  }
+
+  /**
+   * Add the open shadow roots and (with `iframes`) the iframes at or below a node
+   * @param {Document | ShadowRoot | Element} node
+   */
+  discoverScopes(node) {
+    if (!this.options.shadowDom && !this.options.iframes) return;
+
+    const elements = node.querySelectorAll('*');
+    for (const element of node.nodeType === Node.ELEMENT_NODE ? [node, ...elements] : elements) {
+      if (this.options.shadowDom && element.shadowRoot) {
+        this.addScope(element.shadowRoot);
+      }
+      if (this.options.iframes && element.tagName === 'IFRAME') {
+        this.watchFrame(element);
+      }
+    }
+  }
+
+  /**
+   * Handle a same-origin iframe's document now and after each navigation
+   * @param {HTMLIFrameElement} iframe
+   */
+  watchFrame(iframe) {
+    if (this.frames.has(iframe)) return;
+
+    const attach = () => {
+      let doc = null;
+      try {
+        doc = iframe.contentDocument;
+      } catch {
+        // Cross-origin
+      }
+      const previous = this.frames.get(iframe);
+      if (previous && previous !== doc) this.removeScope(previous);
+      this.frames.set(iframe, doc);
+      if (doc?.documentElement) this.addScope(doc);
+    };
+    iframe.addEventListener('load', attach);
+    this.cleanups.push(() => iframe.removeEventListener('load', attach));
+    attach();
+  }
+
+  /**
+   * Report shadow roots attached from now on in a window (ours or a same-origin iframe's);
+   * only open ones are handled. stop() restores the original.
+   * @param {Window} win
+   */
+  patchAttachShadow(win) {
+    const proto = win.Element?.prototype;
+    const original = proto?.attachShadow;
+    if (!original) return;
 
-          if (this.options.handleCSSBackgrounds) {
-            this.processBackgroundImage(node);
+    const polyfill = this;
+    proto.attachShadow = function attachShadow(init) {
+      const shadowRoot = original.call(this, init);
+      if (init?.mode === 'open') {
+        polyfill.addScope(shadowRoot);
+      }
+      return shadowRoot;
+    };
+    this.cleanups.push(() => {
+      proto.attachShadow = original;
+    });
+  }
+
+  /**
+   * MutationObserver callback shared by all scopes
+   * @param {MutationRecord[]} mutations
+   */
+  handleMutations(mutations) {
+    for (const mutation of mutations) {
+      // Players of removed images go with them
+      if (this.players.size) {
+        for (const node of mutation.removedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+          for (const img of this.players.keys()) {
+            if (node === img || node.contains(img)) this.unmountPlayer(img);
           }
         }
+      }
+
+      // Shadow roots and iframe documents of removed elements go with them
+      if (mutation.removedNodes.length && this.observers.size > 1) {
+        this.pruneScopes();
+      }
+
+      // New text in a <style> replaces its sheet
+      if (
+        this.options.handleCSSBackgrounds &&
+        mutation.type === 'childList' &&
+        mutation.target.tagName === 'STYLE'
+      ) {
+        this.processStylesheet(mutation.target.sheet);
+      }
+
+      // Handle added nodes
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+        if (node.tagName === 'IMG') {
+          this.processImgElement(node);
+        } else if (node.tagName === 'SOURCE') {
+          this.processSourceElement(node);
+        } else if (node.tagName === 'IMAGE' || node.tagName === 'FEIMAGE') {
+          this.processSVGImage(node);
+        } else if (node.tagName === 'CANVAS') {
+          this.processCanvasElement(node);
+        }
+
+        // Check descendants
+        node.querySelectorAll?.('img')?.forEach((img) => this.processImgElement(img));
+        node.querySelectorAll?.('canvas[data-jxl-src]')?.forEach((canvas) => this.processCanvasElement(canvas));
+
+        if (this.options.handleSourceElements) {
+          node.querySelectorAll?.('source[srcset]')?.forEach((source) =>
+            this.processSourceElement(source)
+          );
+        }
 
-        // Handle attribute changes
-        if (mutation.type === 'attributes') {
-          const target = mutation.target;
-          if (mutation.attributeName === 'src' && target.tagName === 'IMG') {
-            delete target.dataset.jxlProcessed;
-            this.processImgElement(target);
-          } else if (mutation.attributeName === 'srcset' && target.tagName === 'SOURCE') {
-            delete target.dataset.jxlProcessed;
-            this.processSourceElement(target);
-          } else if (
-            (mutation.attributeName === 'href' || mutation.attributeName === 'xlink:href') &&
-            (target.tagName === 'IMAGE' || target.tagName === 'FEIMAGE')
+        if (this.options.handleSVGElements) {
+          node.querySelectorAll?.('image, feImage')?.forEach((el) =>
+            this.processSVGImage(el)
+          );
+        }
+
+        if (this.options.handleCSSBackgrounds) {
+          this.processInlineStyle(node);
+          node.querySelectorAll('[style]').forEach((el) => this.processInlineStyle(el));
+          this.watchStylesheetNode(node);
+        }
+
+        this.discoverScopes(node);
+      }
+
+      // Handle attribute changes
+      if (mutation.type === 'attributes') {
+        const target = mutation.target;
+        if (mutation.attributeName === 'src' && target.tagName === 'IMG') {
+          if (target.src.startsWith('blob:')) continue;
+          // Ignore our own placeholder, restored original or fallback
+          if (this.srcApplied.get(target) === target.getAttribute('src')) continue;
+          this.srcApplied.delete(target);
+          this.fallbacksUsed.delete(target);
+          this.pending.get(target)?.abort();
+          delete target.dataset.jxlLoading;
+          this.renderedSizes.delete(target);
+          this.unmountPlayer(target);
+          delete target.dataset.jxlProcessed;
+          this.processImgElement(target);
+        } else if (
+          (mutation.attributeName === 'srcset' || mutation.attributeName === 'sizes') &&
+          (target.tagName === 'SOURCE' || target.tagName === 'IMG')
+        ) {
+          // Ignore our own rewrite of the srcset
+          if (
+            mutation.attributeName === 'srcset' &&
+            this.srcsetApplied.get(target) === target.getAttribute('srcset')
           ) {
-            delete target.dataset.jxlProcessed;
-            this.processSVGImage(target);
-          } else if (mutation.attributeName === 'style') {
-            delete target.dataset.jxlBgProcessed;
-            this.processBackgroundImage(target);
+            continue;
+          }
+          if (mutation.attributeName === 'srcset') {
+            this.resetSrcset(target);
+          } else {
+            // Same candidates, new sizes: re-select from the authored srcset
+            this.srcsetSelections.delete(target);
           }
+          this.processSrcset(target);
+        } else if (
+          (mutation.attributeName === 'href' || mutation.attributeName === 'xlink:href') &&
+          (target.tagName === 'IMAGE' || target.tagName === 'FEIMAGE')
+        ) {
+          delete target.dataset.jxlProcessed;
+          this.processSVGImage(target);
+        } else if (mutation.attributeName === 'data-jxl-src' && target.tagName === 'CANVAS') {
+          this.pending.get(target)?.abort();
+          delete target.dataset.jxlProcessed;
+          this.processCanvasElement(target);
+        } else if (mutation.attributeName === 'style') {
+          this.processInlineStyle(target);
         }
       }
-    });
+    }
 
-    this.observer.observe(document.documentElement, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: ['src', 'srcset', 'href', 'xlink:href', 'style'],
-    });
+    // New or restyled elements may be the first to use a rule that was waiting for one
+    if (this.unusedRules.size && mutations.some((m) => m.addedNodes.length || m.attributeName === 'class')) {
+      this.scheduleRuleCheck();
+    }
   }
 }
 
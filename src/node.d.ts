@@ -0,0 +1,48 @@
+/**
+ * JXL Polyfill - Node.js entry TypeScript Definitions
+ */
+
+/// <reference types="node" />
+
+import type { DecodeLimits, JxlImageInfo, PngOutputOptions, DecodeJxlOptions, JxlImageData } from './jxl-polyfill';
+
+export type { DecodeLimits, JxlImageInfo, JxlImageData, JxlErrorCode } from './jxl-polyfill';
+export { JxlDecodeError, isJxlSignature } from './jxl-polyfill';
+
+/**
+ * JXL bytes, or a Node or web stream of them (streams of strings are rejected)
+ */
+export type JxlInput = Uint8Array | ArrayBuffer | ArrayBufferView | AsyncIterable<Uint8Array>;
+
+/**
+ * Initialize the WASM module. Called by every decode function; call it first only to load
+ * the .wasm from elsewhere or to set decode limits. Once a thread's module is loaded, a
+ * different `wasm` throws INVALID_ARGUMENT; a failed load is retried by the next call.
+ * @param wasm - Path or file URL of the .wasm, or the module itself (default: jxl_wasm_bg.wasm next to this file)
+ * @param limits - Limits for decodes on this thread; may be passed again to change them
+ */
+export function initWasm(wasm?: string | URL | BufferSource | WebAssembly.Module, limits?: DecodeLimits): Promise<void>;
+
+export interface NodePngOutputOptions extends PngOutputOptions {
+  /** Downscale a still image to fit this width (it is decoded at full size first) */
+  maxWidth?: number;
+  /** Downscale a still image to fit this height (it is decoded at full size first) */
+  maxHeight?: number;
+}
+
+/**
+ * Decode a JXL image to PNG (APNG for animations)
+ * @returns The PNG image bytes
+ */
+export function decodeJxlToPng(input: JxlInput, options?: NodePngOutputOptions): Promise<Buffer>;
+
+/**
+ * Decode the first frame of a JXL image to raw RGBA pixels, optionally cropped and downscaled,
+ * converted to sRGB unless `colorTarget` says otherwise
+ */
+export function decodeJxlToPixels(input: JxlInput, options?: DecodeJxlOptions): Promise<JxlImageData>;
+
+/**
+ * Read a JXL image's header: size, color, animation and JPEG reconstruction data
+ */
+export function getJxlInfo(input: JxlInput): Promise<JxlImageInfo>;
@@ -0,0 +1,168 @@
+/**
+ * JXL Polyfill - Node.js entry
+ *
+ * The same WASM decoder as the browser builds, for SSR and build pipelines:
+ * generating fallback images and reading metadata ahead of time. The .wasm is
+ * read from disk, inputs may be Buffers, typed arrays or streams, and no DOM
+ * APIs are used, so it also runs in worker_threads (each thread initializes
+ * its own WASM instance).
+ *
+ * @example
+ * import { createReadStream } from 'node:fs';
+ * import { writeFile } from 'node:fs/promises';
+ * import { decodeJxlToPng, getJxlInfo } from 'jxl-rs-polyfill/node';
+ *
+ * const png = await decodeJxlToPng(createReadStream('hero.jxl'), { maxWidth: 800 });
+ * await writeFile('hero.png', png);
+ */
+
+import { readFile } from 'node:fs/promises';
+import { decode_jxl_scaled_to_png } from './jxl_wasm.js';
+import {
+  initWasm as initDecoder,
+  decodeJxl,
+  decodeJxlToPng as decodeToPng,
+  getJxlInfo as readJxlInfo,
+  JxlDecodeError,
+} from './jxl-polyfill.js';
+
+export { isJxlSignature, JxlDecodeError } from './jxl-polyfill.js';
+
+// Bytes of the WASM module, read once per thread, and the `wasm` argument they came from
+let wasmSource = null;
+let wasmRequested;
+
+/**
+ * Initialize the WASM module. Called by every decode function; call it first only to load
+ * the .wasm from elsewhere or to set decode limits. A thread has one module: once it's
+ * loaded, passing a different `wasm` throws. A failed load is not kept, so a later call
+ * tries again.
+ * @param {string | URL | BufferSource | WebAssembly.Module} [wasm] - Path or file URL of the .wasm,
+ *   or the module itself (default: jxl_wasm_bg.wasm next to this file)
+ * @param {import('./jxl-polyfill.js').DecodeLimits} [limits] - Limits for decodes on this thread;
+ *   may be passed again to change them
+ * @returns {Promise<void>}
+ * @throws {JxlDecodeError} - INVALID_ARGUMENT for a `wasm` other than the one loaded
+ */
+export async function initWasm(wasm, limits) {
+  if (!wasmSource) {
+    wasmSource = loadWasm(wasm);
+    wasmRequested = wasm;
+  } else if (wasm !== undefined && !sameSource(wasm, wasmRequested)) {
+    throw new JxlDecodeError(
+      'INVALID_ARGUMENT',
+      'The WASM module was already loaded from another source on this thread'
+    );
+  }
+
+  const source = wasmSource;
+  try {
+    await initDecoder(await source, limits);
+  } catch (err) {
+    if (wasmSource === source) wasmSource = null;
+    throw err;
+  }
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} - Whether both name the same .wasm (paths and URLs by value, the rest by identity)
+ */
+function sameSource(a, b) {
+  const isLocation = (value) => typeof value === 'string' || value instanceof URL;
+  return a === b || (isLocation(a) && isLocation(b) && String(a) === String(b));
+}
+
+async function loadWasm(wasm = new URL('./jxl_wasm_bg.wasm', import.meta.url)) {
+  if (typeof wasm === 'string' || wasm instanceof URL) return readFile(wasm);
+  return wasm;
+}
+
+/**
+ * Read a whole input into bytes
+ * @param {Uint8Array | ArrayBuffer | ArrayBufferView | AsyncIterable<Uint8Array>} input - A Buffer,
+ *   typed array, ArrayBuffer, or a Node or web ReadableStream of bytes
+ * @returns {Promise<Uint8Array>}
+ * @throws {JxlDecodeError} - INVALID_ARGUMENT for other inputs, or a stream of strings
+ */
+async function readInput(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+
+  if (typeof input?.[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of input) {
+      // Text can't hold the image's bytes: a stream with an encoding set, or not an image
+      if (typeof chunk === 'string') {
+        throw new JxlDecodeError('INVALID_ARGUMENT', 'Expected a stream of bytes, got text (is an encoding set?)');
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  throw new JxlDecodeError('INVALID_ARGUMENT', 'Expected a Buffer, typed array, ArrayBuffer or stream');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Buffer} - A Buffer view of the same memory
+ */
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Decode a JXL image to PNG (APNG for animations)
+ * @param {Uint8Array | ArrayBuffer | ArrayBufferView | AsyncIterable<Uint8Array>} input
+ * @param {Object} [options]
+ * @param {'original'|'srgb'|'display-p3'} [options.colorTarget='original'] - See decodeJxlToPng
+ *   in the browser build
+ * @param {8|16} [options.bitDepth=8] - Bits per sample of the PNG
+ * @param {number} [options.maxWidth] - Downscale a still image to fit (decoded at full size first)
+ * @param {number} [options.maxHeight]
+ * @returns {Promise<Buffer>} - The PNG image bytes
+ * @throws {JxlDecodeError}
+ */
+export async function decodeJxlToPng(input, options = {}) {
+  const [jxlData] = await Promise.all([readInput(input), initWasm()]);
+  const { maxWidth, maxHeight } = options;
+
+  if (maxWidth || maxHeight) {
+    try {
+      return toBuffer(
+        decode_jxl_scaled_to_png(jxlData, maxWidth, maxHeight, undefined, options.colorTarget, options.bitDepth)
+      );
+    } catch (err) {
+      throw JxlDecodeError.from(err);
+    }
+  }
+  return toBuffer(await decodeToPng(jxlData, options));
+}
+
+/**
+ * Decode the first frame of a JXL image to raw RGBA pixels, optionally cropped and downscaled
+ * @param {Uint8Array | ArrayBuffer | ArrayBufferView | AsyncIterable<Uint8Array>} input
+ * @param {Object} [options] - maxWidth, maxHeight, crop and colorTarget (default 'srgb'), as for
+ *   decodeJxl in the browser build
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ * @throws {JxlDecodeError}
+ */
+export async function decodeJxlToPixels(input, options = {}) {
+  const [jxlData] = await Promise.all([readInput(input), initWasm()]);
+  const { width, height, data } = await decodeJxl(jxlData, options);
+  return { width, height, data };
+}
+
+/**
+ * Read a JXL image's header: size, color, animation and JPEG reconstruction data
+ * @param {Uint8Array | ArrayBuffer | ArrayBufferView | AsyncIterable<Uint8Array>} input
+ * @returns {Promise<import('./jxl-polyfill.js').JxlImageInfo>}
+ * @throws {JxlDecodeError}
+ */
+export async function getJxlInfo(input) {
+  const [jxlData] = await Promise.all([readInput(input), initWasm()]);
+  return readJxlInfo(jxlData);
+}
@@ -0,0 +1,173 @@
+/**
+ * Persistent cache of decoded images in Cache Storage
+ *
+ * Entries are keyed by source URL plus a validator (ETag / Last-Modified, or
+ * a hash of the JXL bytes when the server sends neither), so a changed image
+ * is never served stale. The cache name carries only the decoder version:
+ * results from an older decoder build are dropped when a new one is first
+ * opened. Callers put output settings in the key, so differently configured
+ * pages share one cache.
+ */
+
+const CACHE_PREFIX = 'jxl-rs-polyfill-';
+// Bump when the stored format changes
+const CACHE_FORMAT = 1;
+
+/**
+ * Validator-based key from response headers
+ * @param {string} url
+ * @param {Response} response
+ * @returns {string | null} - null when the response has no ETag or Last-Modified
+ */
+export function validatorKey(url, response) {
+  const validator = response.headers.get('ETag') || response.headers.get('Last-Modified');
+  return validator ? `${url}|${validator}` : null;
+}
+
+/**
+ * Content-based key: SHA-256 of the JXL bytes
+ * @param {string} url
+ * @param {Uint8Array} jxlData
+ * @returns {Promise<string>}
+ */
+export async function contentKey(url, jxlData) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', jxlData));
+  const hex = Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${url}|sha256:${hex}`;
+}
+
+export class PersistentCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.version - Decoder version; a new version starts an empty cache
+   * @param {number} [options.maxBytes=52428800] - Quota for stored blobs (default 50 MB);
+   *   oldest entries are evicted first
+   * @param {(...args: any[]) => void} [options.log] - Debug logger
+   */
+  constructor({ version, maxBytes = 50 * 1024 * 1024, log = () => {} }) {
+    this.name = `${CACHE_PREFIX}v${CACHE_FORMAT}-${version}`;
+    this.maxBytes = maxBytes;
+    this.log = log;
+
+    this.cachePromise = null;
+    // key -> { bytes, storedAt }, loaded from the stored responses on first use
+    this.index = null;
+  }
+
+  /**
+   * @returns {boolean} - Whether Cache Storage is usable (secure contexts only)
+   */
+  static isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  open() {
+    if (!this.cachePromise) {
+      this.cachePromise = (async () => {
+        await this.deleteStaleVersions();
+        const cache = await caches.open(this.name);
+        await this.loadIndex(cache);
+        return cache;
+      })();
+    }
+    return this.cachePromise;
+  }
+
+  async deleteStaleVersions() {
+    for (const name of await caches.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && name !== this.name) {
+        this.log('Deleting persistent cache from another decoder version:', name);
+        await caches.delete(name);
+      }
+    }
+  }
+
+  async loadIndex(cache) {
+    this.index = new Map();
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (!response) continue;
+      this.index.set(request.url, {
+        bytes: Number(response.headers.get('Content-Length')) || 0,
+        storedAt: Number(response.headers.get('X-Jxl-Stored-At')) || 0,
+      });
+    }
+  }
+
+  /**
+   * Cache Storage only accepts http(s) requests, so keys map to synthetic same-origin URLs
+   * @param {string} key
+   * @returns {string}
+   */
+  requestUrl(key) {
+    return `${location.origin}/__jxl-rs-polyfill__/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Blob | null>}
+   */
+  async get(key) {
+    const cache = await this.open();
+    const response = await cache.match(this.requestUrl(key));
+    return response ? response.blob() : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Blob} blob
+   * @returns {Promise<void>}
+   */
+  async put(key, blob) {
+    if (blob.size > this.maxBytes) return;
+
+    const cache = await this.open();
+    const url = this.requestUrl(key);
+    const storedAt = Date.now();
+
+    await cache.put(url, new Response(blob, {
+      headers: {
+        'Content-Type': blob.type,
+        'Content-Length': String(blob.size),
+        'X-Jxl-Stored-At': String(storedAt),
+      },
+    }));
+    this.index.set(url, { bytes: blob.size, storedAt });
+
+    await this.enforceQuota(cache);
+  }
+
+  async enforceQuota(cache) {
+    let total = 0;
+    for (const { bytes } of this.index.values()) total += bytes;
+    if (total <= this.maxBytes) return;
+
+    const oldestFirst = [...this.index].sort((a, b) => a[1].storedAt - b[1].storedAt);
+    for (const [url, { bytes }] of oldestFirst) {
+      if (total <= this.maxBytes) break;
+      await cache.delete(url);
+      this.index.delete(url);
+      total -= bytes;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} - Total size of stored blobs
+   */
+  async getBytes() {
+    await this.open();
+    let total = 0;
+    for (const { bytes } of this.index.values()) total += bytes;
+    return total;
+  }
+
+  /**
+   * Delete every stored entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await caches.delete(this.name);
+    this.cachePromise = null;
+    this.index = null;
+  }
+}
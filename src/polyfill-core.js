@@ -1,17 +1,13 @@
   // Polyfill core logic (embedded in auto.js IIFE)
 
-  const cache = new Map();
+  const cache = new DecodeCache();
   let stats = { imagesConverted: 0, cacheHits: 0 };
 
-  function isJxlUrl(url) {
-    if (!url) return false;
-    const lower = url.toLowerCase();
-    
-    // Check for base64 data URI
-    if (lower.startsWith('data:image/jxl;base64,')) return true;
-    
-    return lower.endsWith('.jxl') || lower.includes('.jxl?') || lower.includes('.jxl#');
-  }
+  // Candidate URLs whose content turned out not to be JXL
+  const notJxl = new Set();
+
+  // Shared detection (detect.js, inlined by bundle.js)
+  const isJxlUrl = looksLikeJxlUrl;
 
   async function decodeJxl(jxlBytes) {
     // Use Web Worker if available (non-blocking)
@@ -35,25 +31,54 @@
     }
   }
 
+  async function decodeJxlBitmap(jxlBytes) {
+    if (window.JXL_WORKER && window.JXL_WORKER.decodeBitmap) {
+      try {
+        return await window.JXL_WORKER.decodeBitmap(jxlBytes);
+      } catch (e) {
+        console.warn('[JXL Polyfill] Worker decode failed, trying main thread:', e.message);
+      }
+    }
+
+    const wasm = window.__jxl_wasm;
+    if (!wasm) throw new Error('WASM not initialized');
+
+    let result;
+    try {
+      // sRGB: the pixels carry no color profile
+      result = wasm.decode_jxl_scaled(jxlBytes, undefined, undefined, undefined, 'srgb');
+    } catch (e) {
+      throw new Error('WASM decode failed: ' + e.message);
+    }
+    const { width, height } = result;
+    const pixels = result.take_pixels();
+    result.free();
+    return createImageBitmap(new ImageData(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength), width, height));
+  }
+
+  // Resolves to an object URL of the decoded image, or to `url` itself if it isn't JXL after all
   async function fetchAndDecode(url) {
     if (cache.has(url)) {
       stats.cacheHits++;
       return cache.get(url);
     }
+    if (notJxl.has(url)) return url;
 
     const response = await fetch(url);
     if (!response.ok) throw new Error(`Fetch failed: ${response.status}`);
 
     const jxlData = new Uint8Array(await response.arrayBuffer());
+    if (!isJxlSignature(jxlData)) {
+      notJxl.add(url);
+      return url;
+    }
 
     // For the auto.js version, we need to call the WASM decoder
     // This requires the wasm-bindgen generated JS glue
     const pngData = await decodeJxl(jxlData);
 
     const blob = new Blob([pngData], { type: 'image/png' });
-    const objectUrl = URL.createObjectURL(blob);
-
-    cache.set(url, objectUrl);
+    const objectUrl = cache.set(url, blob);
     stats.imagesConverted++;
 
     return objectUrl;
@@ -77,9 +102,10 @@
         
         const pngData = await decodeJxl(bytes);
         const blob = new Blob([pngData], { type: 'image/png' });
-        const pngUrl = URL.createObjectURL(blob);
+        const pngUrl = cache.adopt(blob);
         
         img.src = pngUrl;
+        cache.hold(pngUrl, img);
         return;
       } catch (err) {
         console.error('[JXL Polyfill] Base64 decode failed:', err);
@@ -89,12 +115,48 @@
 
     try {
       const pngUrl = await fetchAndDecode(src);
+      if (pngUrl === src) return;
       img.src = pngUrl;
+      cache.hold(pngUrl, img);
     } catch (err) {
       console.error('[JXL Polyfill] Decode failed:', src, err);
     }
   }
 
+  // <canvas data-jxl-src>: the worker hands over an ImageBitmap, shown without a main-thread decode
+  async function processCanvas(canvas) {
+    const src = canvas.dataset.jxlSrc;
+    if (!src || canvas.dataset.jxlProcessed) return;
+
+    canvas.dataset.jxlProcessed = 'true';
+
+    try {
+      const response = await fetch(src);
+      if (!response.ok) throw new Error(`Fetch failed: ${response.status}`);
+      const blob = await response.blob();
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+
+      const bitmap = isJxlSignature(bytes) ? await decodeJxlBitmap(bytes) : await createImageBitmap(blob);
+      if (canvas.dataset.jxlSrc !== src) {
+        bitmap.close();
+        return;
+      }
+
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      const renderer = canvas.getContext('bitmaprenderer');
+      if (renderer) {
+        renderer.transferFromImageBitmap(bitmap);
+      } else {
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+      }
+      stats.imagesConverted++;
+    } catch (err) {
+      console.error('[JXL Polyfill] Canvas decode failed:', src, err);
+    }
+  }
+
   async function processSource(source) {
     const srcset = source.getAttribute('srcset');
     if (!isJxlUrl(srcset) || source.dataset.jxlProcessed) return;
@@ -103,8 +165,10 @@
 
     try {
       const pngUrl = await fetchAndDecode(srcset);
+      if (pngUrl === srcset) return;
       source.srcset = pngUrl;
       source.type = 'image/png';
+      cache.hold(pngUrl, source);
     } catch (err) {
       console.error('[JXL Polyfill] Decode failed:', srcset, err);
     }
@@ -118,7 +182,9 @@
 
     try {
       const pngUrl = await fetchAndDecode(href);
+      if (pngUrl === href) return;
       el.setAttribute('href', pngUrl);
+      cache.hold(pngUrl, el);
     } catch (err) {
       console.error('[JXL Polyfill] Decode failed:', href, err);
     }
@@ -129,13 +195,15 @@
     const bg = style.backgroundImage;
     if (!bg || bg === 'none' || el.dataset.jxlBgProcessed) return;
 
-    const match = bg.match(/url\\(['"]?([^'"()]+\\.jxl[^'"()]*)['"]?\\)/i);
+    const match = [...bg.matchAll(/url\(['"]?([^'"()]+)['"]?\)/gi)].find(m => isJxlUrl(m[1]));
     if (!match) return;
 
     el.dataset.jxlBgProcessed = 'true';
 
     fetchAndDecode(match[1]).then(pngUrl => {
+      if (pngUrl === match[1]) return;
       el.style.backgroundImage = bg.replace(match[0], `url("${pngUrl}")`);
+      cache.hold(pngUrl, el);
     }).catch(err => {
       console.error('[JXL Polyfill] Background decode failed:', match[1], err);
     });
@@ -145,6 +213,7 @@
     document.querySelectorAll('img').forEach(processImg);
     document.querySelectorAll('source[srcset]').forEach(processSource);
     document.querySelectorAll('image, feImage').forEach(processSvgImage);
+    document.querySelectorAll('canvas[data-jxl-src]').forEach(processCanvas);
     document.querySelectorAll('*').forEach(processBackground);
   }
 
@@ -157,10 +226,12 @@
           if (node.tagName === 'IMG') processImg(node);
           else if (node.tagName === 'SOURCE') processSource(node);
           else if (node.tagName === 'IMAGE' || node.tagName === 'FEIMAGE') processSvgImage(node);
+          else if (node.tagName === 'CANVAS') processCanvas(node);
 
           node.querySelectorAll?.('img')?.forEach(processImg);
           node.querySelectorAll?.('source[srcset]')?.forEach(processSource);
           node.querySelectorAll?.('image, feImage')?.forEach(processSvgImage);
+          node.querySelectorAll?.('canvas[data-jxl-src]')?.forEach(processCanvas);
           processBackground(node);
         }
 
@@ -169,6 +240,9 @@
           if (mutation.attributeName === 'src' && t.tagName === 'IMG') {
             delete t.dataset.jxlProcessed;
             processImg(t);
+          } else if (mutation.attributeName === 'data-jxl-src' && t.tagName === 'CANVAS') {
+            delete t.dataset.jxlProcessed;
+            processCanvas(t);
           }
         }
       }
@@ -178,7 +252,7 @@
       childList: true,
       subtree: true,
       attributes: true,
-      attributeFilter: ['src', 'srcset', 'href', 'style'],
+      attributeFilter: ['src', 'srcset', 'href', 'style', 'data-jxl-src'],
     });
   }
 
@@ -207,5 +281,11 @@
   window.JXLPolyfill = {
     start: startPolyfill,
     processAll,
-    getStats: () => ({ ...stats, cacheSize: cache.size }),
+    getStats: () => ({
+      ...stats,
+      cacheSize: cache.size,
+      cacheBytes: cache.bytes,
+      retainedBytes: cache.retainedBytes,
+    }),
+    clearCache: () => cache.clear(),
   };
@@ -0,0 +1,154 @@
+/**
+ * srcset / sizes parsing and candidate selection
+ *
+ * Mirrors what the browser does for `<img srcset>` and `<source srcset>` so
+ * only the JXL candidate that would actually be shown gets decoded.
+ */
+
+/**
+ * @typedef {Object} SrcsetCandidate
+ * @property {string} url
+ * @property {string} descriptor - Original descriptor text ('2x', '640w' or '')
+ * @property {number} [width] - Width descriptor in px
+ * @property {number} [density] - Pixel density descriptor
+ */
+
+/**
+ * Parse a srcset attribute into its candidates
+ * @param {string} srcset
+ * @returns {SrcsetCandidate[]}
+ */
+export function parseSrcset(srcset) {
+  const candidates = [];
+  if (!srcset) return candidates;
+
+  let pos = 0;
+  const length = srcset.length;
+
+  while (pos < length) {
+    // Skip whitespace and separating commas
+    while (pos < length && /[\s,]/.test(srcset[pos])) pos++;
+    if (pos >= length) break;
+
+    // URL runs until whitespace; it may itself contain commas (data: URIs)
+    let start = pos;
+    while (pos < length && !/\s/.test(srcset[pos])) pos++;
+    let url = srcset.slice(start, pos);
+
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      // "a.jxl, b.jxl 2x" - no descriptor for this candidate
+      url = url.replace(/,+$/, '');
+    } else {
+      // Descriptor runs until the next comma outside parentheses
+      start = pos;
+      let depth = 0;
+      while (pos < length && (srcset[pos] !== ',' || depth > 0)) {
+        if (srcset[pos] === '(') depth++;
+        else if (srcset[pos] === ')') depth--;
+        pos++;
+      }
+      descriptor = srcset.slice(start, pos).trim();
+    }
+
+    const candidate = { url, descriptor };
+    const match = descriptor.match(/^(\d*\.?\d+)([wx])$/i);
+    if (match) {
+      const value = parseFloat(match[1]);
+      if (match[2].toLowerCase() === 'w') {
+        candidate.width = value;
+      } else {
+        candidate.density = value;
+      }
+    }
+    candidates.push(candidate);
+  }
+
+  return candidates;
+}
+
+/**
+ * Serialize candidates back into a srcset attribute
+ * @param {SrcsetCandidate[]} candidates
+ * @returns {string}
+ */
+export function serializeSrcset(candidates) {
+  return candidates
+    .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+    .join(', ');
+}
+
+/**
+ * Convert a CSS length from a sizes attribute to px
+ * @param {string} value
+ * @param {number} viewportWidth
+ * @returns {number | null} - null for lengths we can't evaluate (e.g. calc())
+ */
+function lengthToPx(value, viewportWidth) {
+  const match = value.trim().match(/^(\d*\.?\d+)(px|vw|vh|em|rem)?$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  switch ((match[2] || 'px').toLowerCase()) {
+    case 'vw':
+      return (number * viewportWidth) / 100;
+    case 'vh':
+      return (number * (typeof window !== 'undefined' ? window.innerHeight : viewportWidth)) / 100;
+    case 'em':
+    case 'rem':
+      return number * 16;
+    default:
+      return number;
+  }
+}
+
+/**
+ * Evaluate a sizes attribute to the source size in px
+ * @param {string} sizes
+ * @param {number} viewportWidth
+ * @returns {number}
+ */
+export function evaluateSizes(sizes, viewportWidth) {
+  if (!sizes) return viewportWidth;
+
+  for (const entry of sizes.split(/,(?![^(]*\))/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    // "(max-width: 600px) 480px" - the length is the last token, the rest is the media condition
+    const split = trimmed.match(/^(.*?)\s*((?:\d*\.?\d+[a-z]*)|(?:calc\(.*\)))$/i);
+    if (!split) continue;
+
+    const [, condition, length] = split;
+    if (condition && typeof matchMedia === 'function' && !matchMedia(condition).matches) continue;
+
+    const px = lengthToPx(length, viewportWidth);
+    return px ?? viewportWidth;
+  }
+
+  return viewportWidth;
+}
+
+/**
+ * Pick the candidate the browser would choose
+ * @param {SrcsetCandidate[]} candidates
+ * @param {Object} context
+ * @param {string} [context.sizes] - The element's sizes attribute
+ * @param {number} context.dpr - devicePixelRatio
+ * @param {number} context.viewportWidth - Viewport width in CSS px
+ * @returns {SrcsetCandidate | null}
+ */
+export function selectCandidate(candidates, { sizes, dpr, viewportWidth }) {
+  if (!candidates.length) return null;
+
+  const sourceSize = evaluateSizes(sizes, viewportWidth);
+  const withDensity = candidates.map((candidate) => ({
+    candidate,
+    density: candidate.width ? candidate.width / sourceSize : (candidate.density ?? 1),
+  }));
+  withDensity.sort((a, b) => a.density - b.density);
+
+  // Smallest candidate that satisfies the display density, else the densest available
+  const match = withDensity.find(({ density }) => density >= dpr);
+  return (match || withDensity[withDensity.length - 1]).candidate;
+}
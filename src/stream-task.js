@@ -0,0 +1,96 @@
+/**
+ * Progressive decode sessions
+ *
+ * A progressive decode feeds the file to a JxlStreamDecoder as it downloads
+ * and paints a PNG of each intermediate pass. The decoder lives wherever the
+ * session's tasks run: a decode worker of the pool (the polyfill), or the
+ * calling thread (decodeJxlStream, and the pool's main-thread fallback).
+ *
+ * The WASM module must be initialized before running a task.
+ */
+
+import { JxlStreamDecoder } from './jxl_wasm.js';
+
+/**
+ * One step of a progressive decode session
+ * @param {Map<any, JxlStreamDecoder>} sessions - Open decoders by session
+ * @param {'stream-open'|'stream-push'|'stream-finish'|'stream-close'} type
+ * @param {any} session - Session key
+ * @param {Uint8Array} data - The next chunk of the file, for 'stream-push'
+ * @param {{colorTarget?: string, bitDepth?: number, pass?: boolean}} [output] - PNG output format,
+ *   for 'stream-open'; `pass` asks 'stream-push' for a PNG of the pass decoded so far
+ * @returns {Object} - `{pngData}` for 'stream-finish', and for 'stream-push' when a pass was asked
+ *   for and there is something new to paint; `{}` otherwise
+ */
+export function runStreamTask(sessions, type, session, data, output = {}) {
+  if (type === 'stream-open') {
+    sessions.set(session, new JxlStreamDecoder(output.colorTarget, output.bitDepth));
+    return {};
+  }
+
+  const decoder = sessions.get(session);
+  if (!decoder) throw new Error('INTERNAL: Stream session is not open');
+
+  if (type === 'stream-push') {
+    decoder.push(data);
+    if (output.pass && !decoder.is_complete() && decoder.flush()) {
+      const pngData = decoder.current_png();
+      if (pngData) return { pngData };
+    }
+    return {};
+  }
+  if (type === 'stream-finish' || type === 'stream-close') {
+    sessions.delete(session);
+    try {
+      return type === 'stream-finish' ? { pngData: decoder.finish() } : {};
+    } finally {
+      decoder.free();
+    }
+  }
+  throw new Error(`Unknown message type: ${type}`);
+}
+
+/**
+ * Feed a stream to a progressive decode session chunk by chunk, handing each intermediate
+ * pass to `onPass`. If anything fails (or is aborted), the session is closed and the stream
+ * cancelled, which stops its download.
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {(type: string, data?: Uint8Array, pass?: boolean) => Promise<{pngData?: Uint8Array}>} step -
+ *   Runs a task of the session (see runStreamTask)
+ * @param {Object} [options]
+ * @param {(pngData: Uint8Array, pass: number) => void} [options.onPass]
+ * @param {number} [options.passInterval=200] - Minimum time between intermediate passes (ms)
+ * @returns {Promise<Uint8Array>} - The final PNG (or APNG) bytes
+ */
+export async function pumpStream(stream, step, { onPass, passInterval = 200 } = {}) {
+  const reader = stream.getReader();
+  let pass = 0;
+  let lastPassTime = -Infinity;
+  let closed = false;
+
+  try {
+    await step('stream-open');
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      const wantPass = !!onPass && performance.now() - lastPassTime >= passInterval;
+      const { pngData } = await step('stream-push', value, wantPass);
+      if (pngData) {
+        lastPassTime = performance.now();
+        onPass(pngData, ++pass);
+      }
+    }
+
+    closed = true;
+    return (await step('stream-finish')).pngData;
+  } catch (err) {
+    // A failed or aborted decode stops the download too
+    reader.cancel(err).catch(() => {});
+    throw err;
+  } finally {
+    reader.releaseLock();
+    // The decoder is freed by 'stream-finish', even when it fails
+    if (!closed) step('stream-close').catch(() => {});
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * JXL Polyfill - Service Worker mode TypeScript Definitions
+ */
+
+export interface JxlServiceWorkerOptions {
+  /** Add image/jxl to the Accept header of same-origin and CORS requests so servers can send JXL (default: true) */
+  negotiate?: boolean;
+  /** Custom WASM source (default: jxl_wasm_bg.wasm next to jxl_wasm.js) */
+  wasm?: string | URL | BufferSource | WebAssembly.Module;
+}
+
+/**
+ * Register install and fetch handlers on the service worker global scope
+ */
+export function installJxlServiceWorker(options?: JxlServiceWorkerOptions): void;
+
+/**
+ * Whether a request should go through the JXL handler
+ * (GET image requests, or .jxl URLs, from browsers without native JXL support)
+ */
+export function shouldHandleRequest(request: Request): boolean;
+
+/**
+ * Fetch a request, transcoding the response if it turns out to be JXL
+ */
+export function handleJxlRequest(
+  request: Request,
+  options?: Pick<JxlServiceWorkerOptions, 'negotiate'>
+): Promise<Response>;
+
+/**
+ * Convert a JXL response to a PNG (or APNG) response, keeping status and headers
+ */
+export function transcodeJxlResponse(response: Response): Promise<Response>;
@@ -0,0 +1,189 @@
+/**
+ * JXL Polyfill - Service Worker mode
+ *
+ * Transcodes JXL responses to PNG at the network layer, so images the DOM
+ * polyfill can't see (stylesheets, image-set(), canvas sources, fetch
+ * consumers) work too. Browsers with native JXL support advertise image/jxl
+ * in their Accept header and are passed through untouched.
+ *
+ * @example
+ * // sw.js - register with navigator.serviceWorker.register('/sw.js', { type: 'module' })
+ * import { installJxlServiceWorker } from 'jxl-rs-polyfill/sw';
+ *
+ * installJxlServiceWorker();
+ */
+
+import init, { decode_jxl_to_png } from './jxl_wasm.js';
+import { isJxlContentType, isJxlSignature, looksLikeJxlUrl } from './detect.js';
+
+let initPromise = null;
+// Custom WASM source from installJxlServiceWorker; the default is jxl_wasm_bg.wasm next to jxl_wasm.js
+let wasmSource;
+
+/**
+ * Initialize the WASM module
+ * @returns {Promise<void>}
+ */
+function initWasm() {
+  if (!initPromise) {
+    initPromise = init(wasmSource).catch((err) => {
+      // Not kept, so the next JXL response tries again
+      initPromise = null;
+      throw err;
+    });
+  }
+  return initPromise;
+}
+
+function acceptsJxl(request) {
+  return (request.headers.get('Accept') || '').includes('image/jxl');
+}
+
+/**
+ * Responses worth sniffing: declared as image/jxl, or from a .jxl URL with a
+ * missing or generic Content-Type
+ */
+function isJxlCandidate(response, url) {
+  const contentType = response.headers.get('Content-Type');
+  if (isJxlContentType(contentType)) return true;
+  return looksLikeJxlUrl(url) && (!contentType || contentType.startsWith('application/octet-stream'));
+}
+
+/**
+ * Whether a request should go through the JXL handler
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function shouldHandleRequest(request) {
+  if (request.method !== 'GET') return false;
+  // The browser decodes JXL itself
+  if (acceptsJxl(request)) return false;
+  return request.destination === 'image' || looksLikeJxlUrl(request.url);
+}
+
+/**
+ * Whether this worker gets to read the response: same-origin requests and CORS requests.
+ * Cross-origin no-cors responses are opaque, so JXL from them could not be transcoded.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function canReadResponse(request) {
+  return request.mode === 'cors' || new URL(request.url).origin === self.location.origin;
+}
+
+/**
+ * Advertise image/jxl to the server, since this worker can decode it
+ * @param {Request} request
+ * @returns {Request}
+ */
+function withJxlAccept(request) {
+  const headers = new Headers(request.headers);
+  const accept = headers.get('Accept');
+  headers.set('Accept', accept ? `image/jxl,${accept}` : 'image/jxl,image/*;q=0.8');
+  try {
+    return new Request(request, { headers });
+  } catch {
+    // Some request modes don't allow header changes
+    return request;
+  }
+}
+
+/**
+ * Headers of a response for a new body: the original ones, less those describing the body
+ * that was read (already decompressed, so its Content-Encoding no longer applies)
+ * @param {Response} response
+ * @param {Uint8Array} body
+ * @returns {Headers}
+ */
+function headersForBody(response, body) {
+  const headers = new Headers(response.headers);
+  headers.delete('Content-Encoding');
+  headers.set('Content-Length', String(body.byteLength));
+  return headers;
+}
+
+/**
+ * Convert a JXL response to a PNG (or APNG) response, keeping status and headers.
+ * Content without a JXL signature is passed through unchanged.
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+export async function transcodeJxlResponse(response) {
+  const jxlData = new Uint8Array(await response.arrayBuffer());
+  if (!isJxlSignature(jxlData)) {
+    return new Response(jxlData, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: headersForBody(response, jxlData),
+    });
+  }
+
+  await initWasm();
+  const pngData = decode_jxl_to_png(jxlData);
+
+  const headers = headersForBody(response, pngData);
+  headers.set('Content-Type', 'image/png');
+  headers.set('X-Jxl-Transcoded', 'png');
+  // The PNG depends on the request's Accept header: a cache must not hand it to a browser
+  // that decodes JXL itself
+  const vary = headers.get('Vary');
+  if (!vary) {
+    headers.set('Vary', 'Accept');
+  } else if (vary.trim() !== '*' && !/(^|,)\s*accept\s*(,|$)/i.test(vary)) {
+    headers.set('Vary', `${vary}, Accept`);
+  }
+
+  return new Response(pngData, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Fetch a request, transcoding the response if it turns out to be JXL
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {boolean} [options.negotiate=true] - Add image/jxl to the Accept header of requests
+ *   whose response can be transcoded (same-origin or CORS)
+ * @returns {Promise<Response>}
+ */
+export async function handleJxlRequest(request, options = {}) {
+  const { negotiate = true } = options;
+
+  // Never ask for JXL we couldn't read: the browser would get bytes it can't render
+  const response = await fetch(negotiate && canReadResponse(request) ? withJxlAccept(request) : request);
+
+  // Opaque (cross-origin no-cors) responses can't be read; serve images with CORS to transcode them
+  if (response.type === 'opaque' || !response.ok || !isJxlCandidate(response, request.url)) {
+    return response;
+  }
+
+  try {
+    return await transcodeJxlResponse(response);
+  } catch (err) {
+    console.error('[JXL Polyfill] Service worker transcode failed:', request.url, err);
+    return new Response(null, { status: 502, statusText: 'JXL transcode failed' });
+  }
+}
+
+/**
+ * Register a fetch handler on the service worker global scope
+ * @param {Object} [options]
+ * @param {boolean} [options.negotiate=true] - Add image/jxl to the Accept header of same-origin
+ *   and CORS image requests
+ * @param {string | URL | BufferSource | WebAssembly.Module} [options.wasm] - Custom WASM source
+ */
+export function installJxlServiceWorker(options = {}) {
+  wasmSource = options.wasm;
+
+  // Start compiling the decoder while the worker installs
+  self.addEventListener('install', (event) => {
+    event.waitUntil(initWasm());
+  });
+
+  self.addEventListener('fetch', (event) => {
+    if (!shouldHandleRequest(event.request)) return;
+    event.respondWith(handleJxlRequest(event.request, options));
+  });
+}
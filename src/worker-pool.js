@@ -0,0 +1,295 @@
+/**
+ * Pool of decode workers for the ESM build
+ *
+ * Tasks are queued and handed to idle workers; input buffers are transferred,
+ * not copied. Tasks of a session (an animation player's decoder, or that of
+ * a progressive decode) all run on the worker that took the first one, which
+ * keeps the decoder between them until the session's closing task.
+ * Cancelling a running task stops its worker, unless the worker has open
+ * sessions: then only the task's result is dropped.
+ * If workers cannot be started (no Worker support, module workers
+ * unsupported, CSP), queued tasks run through the main-thread `fallback`.
+ */
+
+import { JxlDecodeError } from './errors.js';
+
+/**
+ * Default pool size: leave one core for the main thread, cap at 4
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+function abortError() {
+  return new DOMException('Decode aborted', 'AbortError');
+}
+
+// Tasks after which the worker no longer keeps their session's decoder, whatever the outcome
+const SESSION_END_TYPES = new Set(['animation-close', 'stream-finish', 'stream-close']);
+
+export class DecoderPool {
+  /**
+   * @param {Object} options
+   * @param {string | URL} options.workerUrl - URL of the module worker script
+   * @param {(type: string, data: Uint8Array, output?: Object, session?: Object) => Promise<Object>} options.fallback -
+   *   Main-thread decoder
+   * @param {number} [options.size] - Maximum number of workers (default: defaultPoolSize())
+   * @param {(...args: any[]) => void} [options.log] - Debug logger
+   */
+  constructor({ workerUrl, fallback, size = defaultPoolSize(), log = () => {} }) {
+    this.workerUrl = workerUrl;
+    this.fallback = fallback;
+    this.size = size;
+    this.log = log;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.nextSessionId = 1;
+    // Set once a worker fails to start; everything after runs on the main thread
+    this.unavailable = typeof Worker === 'undefined';
+  }
+
+  /**
+   * Start a session: its tasks run in order on one worker, which keeps state between them
+   * @returns {{id: number, entry: Object | null}} - Pass as `session` to run()
+   */
+  session() {
+    return { id: this.nextSessionId++, entry: null };
+  }
+
+  /**
+   * Queue a decode task
+   * @param {'decode'|'decode-pixels'|'decode-bitmap'|'animation-open'|'animation-frame'|
+   *   'animation-reset'|'animation-close'|'stream-open'|'stream-push'|'stream-finish'|
+   *   'stream-close'} type
+   * @param {Uint8Array} data - JXL bytes (the underlying buffer is transferred)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task; if it is running, its worker is
+   *   terminated, or left to finish it when it has open sessions
+   * @param {number} [options.priority=0] - Higher runs first; equal priorities run in order
+   * @param {{colorTarget?: string, bitDepth?: number, maxWidth?: number, maxHeight?: number,
+   *   limits?: Object}} [options.output] - PNG output format, size and decode limits
+   * @param {number} [options.timeout] - Cancel the task (as `signal` does) and reject with a TIMEOUT
+   *   JxlDecodeError if the decode runs longer than this (ms; time spent queued doesn't count)
+   * @param {Object} [options.session] - From session(); rejects with an INTERNAL JxlDecodeError
+   *   if the session's worker has stopped (crashed, or terminated by a timeout or cancel)
+   * @returns {Promise<Object>} - `{pngData}`, `{width, height, pixels}` or `{bitmap}` (the
+   *   animation and stream tasks return what runAnimationTask and runStreamTask do)
+   */
+  run(type, data, { signal, priority = 0, output, timeout, session } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    if (this.unavailable) return this.fallback(type, data, output, session);
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextId++,
+        type,
+        data,
+        output,
+        priority,
+        timeout,
+        session,
+        resolve,
+        reject,
+        signal,
+        onAbort: null,
+        timer: null,
+        settled: false,
+      };
+
+      if (signal) {
+        task.onAbort = () => this.cancel(task);
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      const index = this.queue.findIndex((queued) => queued.priority < priority);
+      if (index === -1) {
+        this.queue.push(task);
+      } else {
+        this.queue.splice(index, 0, task);
+      }
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Terminate all workers and reject pending tasks
+   */
+  terminate() {
+    for (const entry of this.workers) {
+      entry.worker.terminate();
+      if (entry.task) this.settle(entry.task, abortError());
+    }
+    for (const task of this.queue) {
+      this.settle(task, abortError());
+    }
+    this.workers = [];
+    this.queue = [];
+  }
+
+  dispatch() {
+    if (this.unavailable) {
+      // Drain anything still queued onto the main thread
+      const queued = this.queue.splice(0);
+      for (const task of queued) {
+        this.fallback(task.type, task.data, task.output, task.session).then(
+          (result) => this.settle(task, null, result),
+          (err) => this.settle(task, err)
+        );
+      }
+      return;
+    }
+
+    let spawned = false;
+    for (let i = 0; i < this.queue.length; ) {
+      const task = this.queue[i];
+      const pinned = task.session?.entry;
+      if (pinned && !this.workers.includes(pinned)) {
+        this.queue.splice(i, 1);
+        this.settle(task, new JxlDecodeError('INTERNAL', 'The decode worker holding this session has stopped'));
+        continue;
+      }
+
+      const entry = pinned || this.workers.find((w) => w.ready && !w.task);
+      if (!entry || entry.task) {
+        // Session tasks wait for their own worker; others may start a new one
+        if (!pinned && !spawned && this.workers.length < this.size) {
+          spawned = true;
+          this.spawn();
+        }
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      if (task.session) {
+        task.session.entry = entry;
+        entry.sessions.add(task.session.id);
+      }
+      entry.task = task;
+
+      // Transfer the input buffer; copy first if the view doesn't own all of it
+      const { data } = task;
+      const buffer = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength
+        ? data.buffer
+        : data.slice().buffer;
+      entry.worker.postMessage(
+        { type: task.type, id: task.id, data: buffer, output: task.output, session: task.session?.id },
+        [buffer]
+      );
+
+      if (task.timeout) {
+        task.timer = setTimeout(() => {
+          this.cancel(task, new JxlDecodeError('TIMEOUT', `Decode took longer than ${task.timeout} ms`));
+        }, task.timeout);
+      }
+    }
+  }
+
+  spawn() {
+    let worker;
+    try {
+      worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (err) {
+      this.markUnavailable(err);
+      return;
+    }
+
+    // sessions: ids of the sessions whose decoders this worker keeps
+    const entry = { worker, ready: false, task: null, sessions: new Set() };
+    this.workers.push(entry);
+
+    worker.onmessage = (e) => {
+      if (e.data.type === 'ready') {
+        entry.ready = true;
+        this.log(`Decode worker ready (${this.workers.length}/${this.size})`);
+        this.dispatch();
+        return;
+      }
+
+      const task = entry.task;
+      if (!task || task.id !== e.data.id) return;
+      entry.task = null;
+      if (SESSION_END_TYPES.has(task.type)) entry.sessions.delete(task.session.id);
+
+      const { id, error, ...result } = e.data;
+      if (error) {
+        this.settle(task, JxlDecodeError.from(error));
+      } else {
+        if (result.pngData) result.pngData = new Uint8Array(result.pngData);
+        if (result.pixels) result.pixels = new Uint8ClampedArray(result.pixels);
+        this.settle(task, null, result);
+      }
+      this.dispatch();
+    };
+
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      this.removeWorker(entry);
+
+      if (!entry.ready) {
+        // Never got going: the input was not transferred yet, so nothing is lost
+        this.markUnavailable(e);
+      } else if (entry.task) {
+        this.settle(entry.task, new JxlDecodeError('INTERNAL', e.message || 'Decode worker crashed'));
+      }
+      this.dispatch();
+    };
+  }
+
+  /**
+   * Drop a queued or running task and reject it
+   * @param {Object} task
+   * @param {Error} [err] - Rejection reason (default: AbortError)
+   */
+  cancel(task, err = abortError()) {
+    const index = this.queue.indexOf(task);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    } else {
+      const entry = this.workers.find((w) => w.task === task);
+      if (!entry || task.settled) return;
+      // Running: the only way to stop WASM mid-decode is to drop the worker, which would take
+      // the decoders of its sessions with it. Those keep it: the task runs on, its result ignored.
+      if (entry.sessions.size === 0) {
+        entry.worker.terminate();
+        this.removeWorker(entry);
+        this.dispatch();
+      }
+    }
+    this.settle(task, err);
+  }
+
+  removeWorker(entry) {
+    const index = this.workers.indexOf(entry);
+    if (index !== -1) this.workers.splice(index, 1);
+  }
+
+  markUnavailable(err) {
+    if (this.workers.some((w) => w.ready)) {
+      // Some workers run fine; stop trying to grow the pool
+      this.size = this.workers.length;
+      return;
+    }
+    this.log('Decode workers unavailable, using main thread:', err?.message || err);
+    this.unavailable = true;
+  }
+
+  settle(task, err, result) {
+    // A cancelled task whose worker ran on gets its result later
+    if (task.settled) return;
+    task.settled = true;
+    clearTimeout(task.timer);
+    if (task.signal && task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+    if (err) {
+      task.reject(err);
+    } else {
+      task.resolve(result);
+    }
+  }
+}
@@ -1,52 +1,102 @@
 // JXL Decode Worker
-// This worker handles JXL decoding off the main thread
+// Module worker used by the DecoderPool in the ESM build; decodes off the main thread
 
-let wasmModule = null;
-let wasmReady = false;
+import init, {
+  decode_jxl_to_png,
+  decode_jxl_scaled,
+  decode_jxl_scaled_to_png,
+  set_decode_limits,
+} from './jxl_wasm.js';
+import { runAnimationTask } from './animation-player.js';
+import { runStreamTask } from './stream-task.js';
 
-// Will be replaced by bundle.js with actual base64 WASM
-const WASM_BASE64 = "%%WASM_BASE64%%";
+let initPromise = null;
 
-function base64ToBytes(base64) {
-  const binaryString = atob(base64);
-  const bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
-  }
-  return bytes;
+// Animation decoders of the canvas players, by session (see DecoderPool#session)
+const animations = new Map();
+// Progressive decoders of images still downloading, by session
+const streams = new Map();
+
+// ImageBitmap of decoded pixels, painted on an OffscreenCanvas (of their color space) where the worker has one
+function toImageBitmap(imageData) {
+  if (typeof OffscreenCanvas === 'undefined') return createImageBitmap(imageData);
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d', { colorSpace: imageData.colorSpace }).putImageData(imageData, 0, 0);
+  return canvas.transferToImageBitmap();
 }
 
-// Initialize WASM in worker context
-async function initWasm() {
-  if (wasmReady) return;
-  
-  // The WASM glue code will be injected here by bundle.js
-  // %%WASM_GLUE%%
-  
-  const wasmBytes = base64ToBytes(WASM_BASE64);
-  await JxlWasm.init({ module_or_path: wasmBytes });
-  wasmReady = true;
+// Initialize WASM in worker context (loads jxl_wasm_bg.wasm next to jxl_wasm.js)
+function initWasm() {
+  if (!initPromise) initPromise = init();
+  return initPromise;
 }
 
 // Handle messages from main thread
 self.onmessage = async function(e) {
-  const { type, id, data } = e.data;
-  
-  if (type === 'decode') {
-    try {
-      await initWasm();
-      
-      // Decode JXL to PNG/APNG
-      const pngData = JxlWasm.decode_jxl_to_png(new Uint8Array(data));
-      
+  const { type, id, data, output = {}, session } = e.data;
+
+  try {
+    await initWasm();
+
+    // Limits are per WASM instance; apply the sender's before every task
+    const { limits = {} } = output;
+    set_decode_limits(limits.maxPixels, limits.maxFrames, limits.maxTotalBytes);
+
+    const { maxWidth, maxHeight } = output;
+
+    if (type === 'decode') {
+      // Decode JXL to PNG/APNG, or a downscaled still PNG when size limits are given
+      const pngData = maxWidth || maxHeight
+        ? decode_jxl_scaled_to_png(new Uint8Array(data), maxWidth, maxHeight, undefined, output.colorTarget, output.bitDepth)
+        : decode_jxl_to_png(new Uint8Array(data), output.colorTarget, output.bitDepth);
+
       // Transfer the buffer back to main thread
       self.postMessage(
         { id, pngData: pngData.buffer },
         [pngData.buffer]
       );
-    } catch (error) {
-      self.postMessage({ id, error: error.message || String(error) });
+    } else if (type === 'decode-pixels') {
+      // Decode JXL to raw RGBA (no PNG encode), downscaled to any size limits
+      const result = decode_jxl_scaled(new Uint8Array(data), maxWidth, maxHeight, undefined, output.colorTarget);
+      const { width, height } = result;
+      const pixels = result.take_pixels();
+      result.free();
+
+      self.postMessage(
+        { id, width, height, pixels: pixels.buffer },
+        [pixels.buffer]
+      );
+    } else if (type === 'decode-bitmap') {
+      // Decode straight to a transferable ImageBitmap, leaving the main thread nothing to decode
+      const result = decode_jxl_scaled(new Uint8Array(data), maxWidth, maxHeight, undefined, output.colorTarget);
+      const { width, height } = result;
+      const pixels = result.take_pixels();
+      result.free();
+
+      // sRGB or Display P3 (see pixelColorTarget in jxl-polyfill.js)
+      const imageData = new ImageData(
+        new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength),
+        width,
+        height,
+        { colorSpace: output.colorTarget }
+      );
+      const bitmap = await toImageBitmap(imageData);
+
+      self.postMessage({ id, bitmap }, [bitmap]);
+    } else if (type.startsWith('animation-')) {
+      // One step of a player's animation; the decoder stays here between messages
+      const result = runAnimationTask(animations, type, session, new Uint8Array(data));
+      const transfer = result.pixels ? [result.pixels.buffer] : [];
+      self.postMessage({ id, ...result, pixels: result.pixels?.buffer }, transfer);
+    } else if (type.startsWith('stream-')) {
+      // One chunk of a progressive decode, answered with a PNG of the pass when asked for one
+      const { pngData } = runStreamTask(streams, type, session, new Uint8Array(data), output);
+      self.postMessage({ id, pngData: pngData?.buffer }, pngData ? [pngData.buffer] : []);
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
     }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
   }
 };
 
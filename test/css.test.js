@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCssUrls, rewriteCssUrls } from '../src/css.js';
+
+test('findCssUrls finds quoted and unquoted url() tokens with their offsets', () => {
+  const value = `url(a.jxl), url("b.jxl"), url( 'c.jxl' )`;
+  const tokens = findCssUrls(value);
+  assert.deepEqual(tokens.map(({ url }) => url), ['a.jxl', 'b.jxl', 'c.jxl']);
+  for (const { start, end } of tokens) {
+    assert.match(value.slice(start, end), /^url\(.*\)$/);
+  }
+  assert.deepEqual(findCssUrls(''), []);
+  assert.deepEqual(findCssUrls('none'), []);
+});
+
+test('findCssUrls finds the plain strings of image-set()', () => {
+  const value = `image-set("a.jxl" 1x, url(b.jxl) 2x), -webkit-image-set('c.jxl' 1x)`;
+  assert.deepEqual(findCssUrls(value).map(({ url }) => url), ['a.jxl', 'b.jxl', 'c.jxl']);
+});
+
+test('findCssUrls stops at the parenthesis closing image-set()', () => {
+  // Parentheses in quoted strings and nested functions don't close it early
+  const value = `image-set("a(1).jxl" 1x, url(b.jxl) 2x, "c.jxl" 3x) "d.jxl"`;
+  assert.deepEqual(findCssUrls(value).map(({ url }) => url), ['a(1).jxl', 'b.jxl', 'c.jxl']);
+});
+
+test('findCssUrls reads an unbalanced image-set() to the end of the value', () => {
+  assert.deepEqual(findCssUrls(`image-set("a.jxl" 1x, "b.jxl" 2x`).map(({ url }) => url), ['a.jxl', 'b.jxl']);
+});
+
+test('rewriteCssUrls replaces only the mapped URLs, quoting the replacements', () => {
+  const value = `url(a.jxl), image-set("b.jxl" 1x), url(c.png)`;
+  const replacements = new Map([
+    ['a.jxl', 'blob:a'],
+    ['b.jxl', 'blob:"b"'],
+  ]);
+  assert.equal(rewriteCssUrls(value, replacements), `url("blob:a"), image-set(url("blob:\\"b\\"") 1x), url(c.png)`);
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecodeCache } from '../src/decode-cache.js';
+
+let revoked;
+const revokeObjectURL = URL.revokeObjectURL;
+
+beforeEach(() => {
+  revoked = new Set();
+  URL.revokeObjectURL = (objectUrl) => {
+    revoked.add(objectUrl);
+    revokeObjectURL(objectUrl);
+  };
+});
+
+afterEach(() => {
+  URL.revokeObjectURL = revokeObjectURL;
+});
+
+const blob = (bytes = 1) => new Blob([new Uint8Array(bytes)]);
+
+// Stands in for an element showing an object URL in its src
+function holderOf(objectUrl) {
+  const attributes = { src: objectUrl };
+  return { attributes, getAttribute: (name) => attributes[name] ?? null };
+}
+
+test('evicts the least recently used entries over maxEntries, revoking their URLs', () => {
+  const cache = new DecodeCache({ maxEntries: 2 });
+  const a = cache.set('a', blob());
+  const b = cache.set('b', blob());
+  cache.get('a');
+  cache.set('c', blob());
+
+  assert.equal(cache.size, 2);
+  assert.equal(cache.has('a'), true);
+  assert.equal(cache.has('b'), false);
+  assert.deepEqual([...revoked], [b]);
+  assert.equal(revoked.has(a), false);
+});
+
+test('evicts over maxBytes, but never the entry just added', () => {
+  const cache = new DecodeCache({ maxBytes: 10 });
+  cache.set('a', blob(6));
+  cache.set('b', blob(6));
+  assert.deepEqual([...cache.entries.keys()], ['b']);
+  assert.equal(cache.bytes, 6);
+
+  cache.set('c', blob(20));
+  assert.deepEqual([...cache.entries.keys()], ['c']);
+  assert.equal(cache.bytes, 20);
+});
+
+test('keeps evicted URLs that are held until the holder moves on', () => {
+  const cache = new DecodeCache({ maxEntries: 1 });
+  const a = cache.set('a', blob(3));
+  const holder = holderOf(a);
+  cache.hold(a, holder);
+
+  cache.set('b', blob());
+  assert.equal(cache.has('a'), false);
+  assert.equal(revoked.has(a), false);
+  assert.equal(cache.retainedBytes, 3);
+
+  holder.attributes.src = 'other.png';
+  cache.sweep();
+  assert.equal(revoked.has(a), true);
+  assert.equal(cache.retainedBytes, 0);
+});
+
+test('holds CSS declarations by their cssText', () => {
+  const cache = new DecodeCache({ maxEntries: 1 });
+  const a = cache.set('a', blob());
+  const declaration = { cssText: `background-image: url("${a}");` };
+  cache.hold(a, declaration);
+
+  cache.set('b', blob());
+  assert.equal(revoked.has(a), false);
+
+  declaration.cssText = '';
+  cache.sweep();
+  assert.equal(revoked.has(a), true);
+});
+
+test('ignores holds on URLs it does not know', () => {
+  const cache = new DecodeCache();
+  cache.hold('blob:unknown', holderOf('blob:unknown'));
+  assert.equal(cache.holders.size, 0);
+});
+
+test('revokes adopted URLs once their holder moves on, or on discard', () => {
+  const cache = new DecodeCache();
+  const kept = cache.adopt(blob());
+  const holder = holderOf(kept);
+  cache.hold(kept, holder);
+  assert.equal(cache.size, 0);
+
+  holder.attributes.src = '';
+  cache.sweep();
+  assert.equal(revoked.has(kept), true);
+
+  const unused = cache.adopt(blob());
+  cache.discard(unused);
+  assert.equal(revoked.has(unused), true);
+});
+
+test('keeps pinned URLs through eviction until unpinned', () => {
+  const cache = new DecodeCache({ maxEntries: 1 });
+  const a = cache.set('a', blob());
+  cache.pin(a);
+
+  cache.set('b', blob());
+  assert.equal(revoked.has(a), false);
+
+  // Held before the pin is dropped: still in use
+  const holder = holderOf(a);
+  cache.hold(a, holder);
+  cache.unpin(a);
+  assert.equal(revoked.has(a), false);
+
+  holder.attributes.src = '';
+  cache.sweep();
+  assert.equal(revoked.has(a), true);
+});
+
+test('revokes a pinned URL evicted meanwhile once it is unpinned unheld', () => {
+  const cache = new DecodeCache({ maxEntries: 1 });
+  const a = cache.set('a', blob());
+  cache.pin(a);
+  cache.pin(a);
+  cache.set('b', blob());
+
+  cache.unpin(a);
+  assert.equal(revoked.has(a), false);
+  cache.unpin(a);
+  assert.equal(revoked.has(a), true);
+});
+
+test('clear revokes cached, retained and adopted URLs', () => {
+  const cache = new DecodeCache({ maxEntries: 1 });
+  const a = cache.set('a', blob());
+  cache.hold(a, holderOf(a));
+  const b = cache.set('b', blob());
+  const adopted = cache.adopt(blob());
+
+  cache.clear();
+  assert.deepEqual(revoked, new Set([a, b, adopted]));
+  assert.equal(cache.size, 0);
+  assert.equal(cache.bytes, 0);
+  assert.equal(cache.retainedBytes, 0);
+});
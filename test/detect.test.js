@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUrlMatcher, isJxlContentType, isJxlSignature, looksLikeJxlUrl } from '../src/detect.js';
+
+test('isJxlSignature recognizes codestreams and containers', () => {
+  assert.equal(isJxlSignature(new Uint8Array([0xff, 0x0a, 0x00])), true);
+  assert.equal(
+    isJxlSignature(new Uint8Array([0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a, 0x00])),
+    true
+  );
+  // A truncated container signature, a PNG, and too little data
+  assert.equal(isJxlSignature(new Uint8Array([0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20])), false);
+  assert.equal(isJxlSignature(new Uint8Array([0x89, 0x50, 0x4e, 0x47])), false);
+  assert.equal(isJxlSignature(new Uint8Array([0xff])), false);
+  assert.equal(isJxlSignature(null), false);
+});
+
+test('isJxlContentType ignores case and parameters', () => {
+  assert.equal(isJxlContentType('image/jxl'), true);
+  assert.equal(isJxlContentType('Image/JXL; charset=binary'), true);
+  assert.equal(isJxlContentType('image/png'), false);
+  assert.equal(isJxlContentType('application/octet-stream'), false);
+  assert.equal(isJxlContentType(null), false);
+});
+
+test('looksLikeJxlUrl matches extensions, format parameters and data URIs', () => {
+  for (const url of [
+    'photo.jxl',
+    '/img/PHOTO.JXL',
+    'photo.jxl?v=2',
+    'photo.jxl#frag',
+    'https://cdn.example/photo?fmt=jxl',
+    'https://cdn.example/photo?w=100&format=jxl&q=80',
+    'https://cdn.example/photo?type=image%2Fjxl',
+    'data:image/jxl;base64,/wo=',
+  ]) {
+    assert.equal(looksLikeJxlUrl(url), true, url);
+  }
+  for (const url of ['photo.png', 'photo.jxl.png', 'https://cdn.example/photo?fmt=jxlx', 'jxl/photo.png', '', null]) {
+    assert.equal(looksLikeJxlUrl(url), false, String(url));
+  }
+});
+
+test('createUrlMatcher wraps custom matchers, never matching blob: URLs', () => {
+  const byRegExp = createUrlMatcher(/\/images\//);
+  assert.equal(byRegExp('/images/photo'), true);
+  assert.equal(byRegExp('blob:https://example/images/photo'), false);
+  assert.equal(byRegExp(''), false);
+
+  const byFunction = createUrlMatcher((url) => url.endsWith('!jxl'));
+  assert.equal(byFunction('photo!jxl'), true);
+  assert.equal(byFunction('blob:photo!jxl'), false);
+
+  assert.equal(createUrlMatcher(), looksLikeJxlUrl);
+});
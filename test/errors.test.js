@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JxlDecodeError } from '../src/errors.js';
+
+test('JxlDecodeError.from splits the code off WASM error strings', () => {
+  const err = JxlDecodeError.from('TRUNCATED: Unexpected end of file');
+  assert.ok(err instanceof JxlDecodeError);
+  assert.equal(err.name, 'JxlDecodeError');
+  assert.equal(err.code, 'TRUNCATED');
+  assert.equal(err.message, 'Unexpected end of file');
+  assert.equal(err.cause, 'TRUNCATED: Unexpected end of file');
+});
+
+test('JxlDecodeError.from reads the message of thrown Errors', () => {
+  const cause = new Error('LIMIT_EXCEEDED: Image is larger\nthan maxPixels');
+  const err = JxlDecodeError.from(cause);
+  assert.equal(err.code, 'LIMIT_EXCEEDED');
+  assert.equal(err.message, 'Image is larger\nthan maxPixels');
+  assert.equal(err.cause, cause);
+});
+
+test('JxlDecodeError.from makes anything else INTERNAL', () => {
+  assert.equal(JxlDecodeError.from('NOT_A_CODE: message').code, 'INTERNAL');
+  assert.equal(JxlDecodeError.from('NOT_A_CODE: message').message, 'NOT_A_CODE: message');
+  assert.equal(JxlDecodeError.from(new RangeError('out of bounds')).code, 'INTERNAL');
+  assert.equal(JxlDecodeError.from(42).message, '42');
+});
+
+test('JxlDecodeError.from passes JxlDecodeErrors and AbortErrors through', () => {
+  const decodeError = new JxlDecodeError('TIMEOUT', 'Decode took too long');
+  assert.equal(JxlDecodeError.from(decodeError), decodeError);
+
+  const abortError = new DOMException('Decode aborted', 'AbortError');
+  assert.equal(JxlDecodeError.from(abortError), abortError);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateSizes, parseSrcset, selectCandidate, serializeSrcset } from '../src/srcset.js';
+
+test('parseSrcset reads width and density descriptors', () => {
+  assert.deepEqual(parseSrcset('a.jxl 640w, b.jxl 2x, c.jxl'), [
+    { url: 'a.jxl', descriptor: '640w', width: 640 },
+    { url: 'b.jxl', descriptor: '2x', density: 2 },
+    { url: 'c.jxl', descriptor: '' },
+  ]);
+});
+
+test('parseSrcset keeps commas inside URLs', () => {
+  const [first, second] = parseSrcset('data:image/jxl;base64,/wo= 1x, b.jxl 2x');
+  assert.equal(first.url, 'data:image/jxl;base64,/wo=');
+  assert.equal(first.density, 1);
+  assert.equal(second.url, 'b.jxl');
+});
+
+test('parseSrcset handles candidates without descriptors before a comma', () => {
+  assert.deepEqual(
+    parseSrcset('a.jxl, b.jxl 2x').map(({ url }) => url),
+    ['a.jxl', 'b.jxl']
+  );
+  assert.deepEqual(parseSrcset(''), []);
+});
+
+test('serializeSrcset round-trips parsed candidates', () => {
+  const srcset = 'a.jxl 640w, b.jxl 1280w, c.jxl';
+  assert.equal(serializeSrcset(parseSrcset(srcset)), srcset);
+});
+
+test('evaluateSizes falls back to the viewport width', () => {
+  assert.equal(evaluateSizes('', 1000), 1000);
+  assert.equal(evaluateSizes('50vw', 1000), 500);
+  assert.equal(evaluateSizes('320px', 1000), 320);
+  assert.equal(evaluateSizes('calc(100vw - 2em)', 1000), 1000);
+});
+
+test('selectCandidate picks the smallest candidate that covers the display density', () => {
+  const candidates = parseSrcset('small.jxl 400w, medium.jxl 800w, large.jxl 1600w');
+  const pick = (dpr, sizes) => selectCandidate(candidates, { sizes, dpr, viewportWidth: 800 }).url;
+
+  assert.equal(pick(1), 'medium.jxl');
+  assert.equal(pick(2), 'large.jxl');
+  assert.equal(pick(1, '400px'), 'small.jxl');
+  // Nothing is dense enough: the densest wins
+  assert.equal(pick(3), 'large.jxl');
+});
+
+test('selectCandidate uses density descriptors, defaulting to 1x', () => {
+  const candidates = parseSrcset('a.jxl, b.jxl 2x');
+  assert.equal(selectCandidate(candidates, { dpr: 1, viewportWidth: 800 }).url, 'a.jxl');
+  assert.equal(selectCandidate(candidates, { dpr: 1.5, viewportWidth: 800 }).url, 'b.jxl');
+  assert.equal(selectCandidate([], { dpr: 1, viewportWidth: 800 }), null);
+});